@@ -9,7 +9,9 @@
 
 const CONFIG = {
     days: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'],
-    dayAbbrev: { Monday: 'M', Tuesday: 'T', Wednesday: 'W', Thursday: 'Th', Friday: 'F', Saturday: 'Sa', Sunday: 'Su' }
+    dayAbbrev: { Monday: 'M', Tuesday: 'T', Wednesday: 'W', Thursday: 'Th', Friday: 'F', Saturday: 'Sa', Sunday: 'Su' },
+    timeStepMinutes: 15,        // Shift time picker granularity
+    availabilityStepMinutes: 30 // Availability grid cell size
 };
 
 // =============================================================================
@@ -18,11 +20,16 @@ const CONFIG = {
 
 let currentTab = 'schedule';
 let currentSchedule = null;
+let currentHorizon = null; // { horizon: true, weeks } when a multi-week schedule is on screen
 let editingEmployeeId = null;
 let editingShiftId = null;
 let editingRoleId = null;
+let editingTimeOffId = null;
+let editingPairingId = null;
+let editingHolidayId = null;
 let availabilityState = {};
 let confirmCallback = null;
+let schedulerRun = null; // { worker, timer, originalText } while the scheduler is running
 
 // =============================================================================
 // INITIALIZATION
@@ -38,24 +45,30 @@ document.addEventListener('DOMContentLoaded', () => {
     initModals();
     initEmployeeForm();
     initShiftForm();
+    initTimeOffForm();
+    initPairingForm();
+    initHolidayForm();
+    initRequirementsEditor();
     initRoleForm();
     initSettingsForm();
     initViewToggle();
+    initWeekPicker();
     initImportExport();
 
     // Load initial data
     renderEmployeeList();
+    renderPairingList();
+    renderTimeOffList();
     renderShiftList();
+    renderHolidayList();
     renderRoleList();
     loadSettings();
     updateStats();
 
-    // Try to load last schedule
-    const lastSchedule = Storage.getLastSchedule();
-    if (lastSchedule) {
-        currentSchedule = lastSchedule;
-        renderSchedule();
-    }
+    // Reopen the schedule that was on screen
+    const openSchedule = Storage.getOpenSchedule();
+    if (openSchedule) showArchivedSchedule(openSchedule);
+    renderHistoryList();
 
     // Run scheduler button
     document.getElementById('run-scheduler-btn').addEventListener('click', runScheduler);
@@ -245,15 +258,17 @@ function initDropdown() {
     document.getElementById('reset-btn').addEventListener('click', () => {
         showConfirm('Reset all data to defaults? This cannot be undone.', () => {
             Storage.resetToDefaults();
-            currentSchedule = null;
+            clearScheduleView();
+            renderHistoryList();
             renderEmployeeList();
+            renderPairingList();
+            renderTimeOffList();
             renderShiftList();
+            renderHolidayList();
             renderRoleList();
             loadSettings();
             updateStats();
             updateRoleDropdowns();
-            document.getElementById('schedule-grid').innerHTML = '<div class="empty-state"><p>🚀 Click <strong>Run Scheduler</strong> to generate a schedule</p></div>';
-            document.getElementById('hours-summary').innerHTML = '<div class="empty-state"><p>Run the scheduler to see hours summary</p></div>';
             showToast('Data reset to defaults', 'success');
         });
     });
@@ -272,7 +287,10 @@ function initModals() {
     // Cancel buttons
     document.getElementById('cancel-employee-btn').addEventListener('click', () => closeModal('employee-modal'));
     document.getElementById('cancel-shift-btn').addEventListener('click', () => closeModal('shift-modal'));
+    document.getElementById('cancel-timeoff-btn').addEventListener('click', () => closeModal('timeoff-modal'));
+    document.getElementById('cancel-pairing-btn').addEventListener('click', () => closeModal('pairing-modal'));
     document.getElementById('cancel-role-btn').addEventListener('click', () => closeModal('role-modal'));
+    document.getElementById('cancel-holiday-btn').addEventListener('click', () => closeModal('holiday-modal'));
     document.getElementById('confirm-cancel').addEventListener('click', () => closeModal('confirm-modal'));
 
     // Click outside to close
@@ -285,7 +303,10 @@ function initModals() {
     // Add buttons
     document.getElementById('add-employee-btn').addEventListener('click', () => openEmployeeModal());
     document.getElementById('add-shift-btn').addEventListener('click', () => openShiftModal());
+    document.getElementById('add-timeoff-btn').addEventListener('click', () => openTimeOffModal());
+    document.getElementById('add-pairing-btn').addEventListener('click', () => openPairingModal());
     document.getElementById('add-role-btn').addEventListener('click', () => openRoleModal());
+    document.getElementById('add-holiday-btn').addEventListener('click', () => openHolidayModal());
 
     // Keyboard navigation
     document.addEventListener('keydown', (e) => {
@@ -351,6 +372,8 @@ function openRoleModal(role = null) {
     document.getElementById('role-id').value = role?.id || '';
     document.getElementById('role-name').value = role?.name || '';
     document.getElementById('role-label').value = role?.label || '';
+    document.getElementById('role-min-hours').value = role?.minHours ?? '';
+    document.getElementById('role-wage').value = role?.hourlyWage ?? '';
     document.getElementById('role-color').value = role?.color || '#003F24';
 
     openModal('role-modal');
@@ -360,13 +383,17 @@ function saveRole() {
     const name = document.getElementById('role-name').value.trim();
     const label = document.getElementById('role-label').value.trim();
     const color = document.getElementById('role-color').value;
+    const minHoursValue = document.getElementById('role-min-hours').value;
+    const minHours = minHoursValue === '' ? null : parseInt(minHoursValue);
+    const wageValue = document.getElementById('role-wage').value;
+    const hourlyWage = wageValue === '' ? null : parseFloat(wageValue);
 
     if (!name || !label) {
         showToast('Please fill in all fields', 'error');
         return;
     }
 
-    const role = { name, label, color };
+    const role = { name, label, color, minHours, hourlyWage };
 
     if (editingRoleId) {
         Storage.updateRole(editingRoleId, role);
@@ -412,6 +439,10 @@ function renderRoleList() {
                 </span>
                 <span style="font-size: 0.875rem; color: var(--text-muted);">${role.name}</span>
             </div>
+            ${role.minHours || role.hourlyWage ? `<div class="list-item-meta">
+                ${role.minHours ? `<span class="meta-item">⬇️ ${role.minHours}h min by default</span>` : ''}
+                ${role.hourlyWage ? `<span class="meta-item">💵 ${Scheduler.formatCost(role.hourlyWage)}/h by default</span>` : ''}
+            </div>` : ''}
             <div class="list-item-actions">
                 <button class="btn btn-sm" onclick="openRoleModal(Storage.getRoles().find(r => r.id === ${role.id}))">Edit</button>
                 <button class="btn btn-sm btn-danger" onclick="deleteRole(${role.id})">Delete</button>
@@ -429,45 +460,215 @@ function updateRoleDropdowns() {
 
     if (empRoleSelect) empRoleSelect.innerHTML = options;
     if (shiftRoleSelect) shiftRoleSelect.innerHTML = options;
+
+    // Keep the staffing requirements editor on the same role where it still exists
+    const requirementsRole = document.getElementById('requirements-role');
+    if (requirementsRole) {
+        const selected = requirementsRole.value;
+        requirementsRole.innerHTML = options;
+        if (roles.some(r => r.name === selected)) requirementsRole.value = selected;
+        renderRequirements();
+    }
+
+    renderWeekendRotationRoles(Storage.getSettings().weekendRotationRoles || []);
+
+    const qualifiedContainer = document.getElementById('emp-qualified-roles');
+    if (qualifiedContainer) {
+        qualifiedContainer.innerHTML = roles.map(r => `
+            <label class="checkbox-label">
+                <input type="checkbox" class="emp-qualified-role" value="${r.name}">
+                <span class="checkbox-text">${r.label}</span>
+            </label>
+        `).join('');
+    }
 }
 
 // =============================================================================
 // SETTINGS MANAGEMENT
 // =============================================================================
 
+function renderWeekendRotationRoles(selected) {
+    document.getElementById('weekend-rotation-roles').innerHTML = Storage.getRoles().map(r => `
+        <label class="checkbox-label">
+            <input type="checkbox" class="weekend-rotation-role" value="${r.name}" ${selected.includes(r.name) ? 'checked' : ''}>
+            <span class="checkbox-text">${r.label}</span>
+        </label>
+    `).join('');
+}
+
 function initSettingsForm() {
+    // One toggle per compliance rule; required rules are always on
+    document.getElementById('rule-list').innerHTML = Rules.list.map(rule => `
+        <div class="settings-row">
+            <span class="settings-label">
+                <strong>${rule.label}</strong>
+                <small class="rule-description">${rule.description}${rule.required ? ' (always on)' : ''}</small>
+            </span>
+            <div class="settings-value">
+                <input type="checkbox" id="rule-${rule.id}" data-rule="${rule.id}" ${rule.required ? 'disabled' : ''}>
+            </div>
+        </div>
+    `).join('');
+
+    document.getElementById('setting-week-starts-on').innerHTML = CONFIG.days
+        .map(day => `<option value="${day}">${day}</option>`).join('');
+
+    // Opening and closing time per day
+    const timeOptions = buildTimeOptions();
+    document.getElementById('store-hours-list').innerHTML = CONFIG.days.map(day => `
+        <div class="settings-row">
+            <span class="settings-label">${day}</span>
+            <div class="settings-value store-hours-value">
+                <label class="checkbox-label">
+                    <input type="checkbox" class="store-closed" data-day="${day}">
+                    <span class="checkbox-text">Closed</span>
+                </label>
+                <select class="store-open" data-day="${day}" aria-label="${day} opening time">${timeOptions}</select>
+                <span>to</span>
+                <select class="store-close" data-day="${day}" aria-label="${day} closing time">${timeOptions}<option value="24">24:00</option></select>
+            </div>
+        </div>
+    `).join('');
+
+    document.querySelectorAll('.store-closed').forEach(cb => {
+        cb.addEventListener('change', () => {
+            document.querySelectorAll(`[data-day="${cb.dataset.day}"].store-open, [data-day="${cb.dataset.day}"].store-close`)
+                .forEach(select => { select.disabled = cb.checked; });
+        });
+    });
+
     document.getElementById('save-settings-btn').addEventListener('click', saveSettings);
 }
 
 function loadSettings() {
     const settings = Storage.getSettings();
     document.getElementById('setting-store-hours').value = settings.storeWeeklyHours || 280;
+    document.getElementById('setting-budget-mode').value = settings.budgetMode || 'soft';
+    document.getElementById('setting-budget-basis').value = settings.budgetBasis || 'hours';
+    document.getElementById('setting-cost-budget').value = settings.weeklyCostBudget ?? 5000;
+    document.getElementById('setting-overtime-threshold').value = settings.overtimeThresholdHours ?? 44;
+    document.getElementById('setting-overtime-premium').value = settings.overtimePremium ?? 1.5;
+    document.getElementById('setting-overtime-mode').value = settings.overtimeMode || 'minimize';
+    document.getElementById('setting-holiday-premium').value = settings.holidayPremium ?? 1.5;
     document.getElementById('setting-min-rest').value = settings.minRestHours || 10;
     document.getElementById('setting-max-consecutive').value = settings.maxConsecutiveDays || 5;
+    document.getElementById('setting-min-days-off').value = settings.minConsecutiveDaysOff ?? 0;
+    document.getElementById('setting-max-weekends').value = settings.maxWeekendsWorked ?? 1;
+    document.getElementById('setting-weekend-weeks').value = settings.weekendRotationWeeks ?? 1;
+    renderWeekendRotationRoles(settings.weekendRotationRoles || []);
     document.getElementById('setting-min-shift').value = settings.minShiftHours || 4;
+    document.getElementById('setting-max-shift').value = settings.maxShiftHours || 8;
+    document.getElementById('setting-shift-source').value = settings.shiftSource || 'templates';
     document.getElementById('setting-break-after').value = settings.breakAfterHours || 4;
     document.getElementById('setting-break-duration').value = settings.breakDurationMinutes || 30;
     document.getElementById('setting-intl-max').value = settings.internationalStudentMaxHours || 24;
+    document.getElementById('setting-intl-break-max').value = settings.internationalStudentBreakMaxHours || 40;
+    Rules.list.forEach(rule => {
+        document.getElementById(`rule-${rule.id}`).checked = Rules.isEnabled(rule, settings);
+    });
+    document.getElementById('setting-allow-partial').checked = settings.allowPartialSchedule ?? false;
+    CONFIG.days.forEach(day => {
+        const hours = settings.storeHours?.[day];
+        document.querySelector(`.store-closed[data-day="${day}"]`).checked = !hours;
+        document.querySelector(`.store-open[data-day="${day}"]`).value = hours ? hours[0] : 8;
+        document.querySelector(`.store-close[data-day="${day}"]`).value = hours ? hours[1] : 21;
+        document.querySelectorAll(`[data-day="${day}"].store-open, [data-day="${day}"].store-close`)
+            .forEach(select => { select.disabled = !hours; });
+    });
+    document.getElementById('setting-role-cover').checked = settings.higherRolesCoverLower ?? false;
+    document.getElementById('setting-optimize-ms').value = settings.optimizeTimeMs ?? 500;
+    document.getElementById('setting-solver-timeout').value = settings.solverTimeoutSeconds ?? 30;
+    document.getElementById('setting-history-limit').value = settings.historyLimit ?? 20;
+    document.getElementById('setting-week-starts-on').value = settings.weekStartsOn || 'Monday';
+    updateWeekPicker();
 }
 
 function saveSettings() {
     const storeWeeklyHours = parseInt(document.getElementById('setting-store-hours').value);
+    const budgetMode = document.getElementById('setting-budget-mode').value;
+    const budgetBasis = document.getElementById('setting-budget-basis').value;
+    const weeklyCostBudget = Math.max(0, parseFloat(document.getElementById('setting-cost-budget').value) || 0);
+    const overtimeThresholdHours = Math.max(0, parseFloat(document.getElementById('setting-overtime-threshold').value) || 44);
+    const overtimePremium = Math.max(1, parseFloat(document.getElementById('setting-overtime-premium').value) || 1.5);
+    const overtimeMode = document.getElementById('setting-overtime-mode').value;
+    const holidayPremium = Math.max(1, parseFloat(document.getElementById('setting-holiday-premium').value) || 1.5);
     const minRestHours = parseInt(document.getElementById('setting-min-rest').value);
     const maxConsecutiveDays = parseInt(document.getElementById('setting-max-consecutive').value);
+    const minConsecutiveDaysOff = Math.max(0, parseInt(document.getElementById('setting-min-days-off').value) || 0);
+    const maxWeekendsWorked = Math.max(0, parseInt(document.getElementById('setting-max-weekends').value) || 0);
+    const weekendRotationWeeks = Math.max(1, parseInt(document.getElementById('setting-weekend-weeks').value) || 1);
+    const weekendRotationRoles = Array.from(document.querySelectorAll('.weekend-rotation-role:checked')).map(cb => cb.value);
     const minShiftHours = parseInt(document.getElementById('setting-min-shift').value);
+    const maxShiftHours = parseInt(document.getElementById('setting-max-shift').value) || 8;
+    const shiftSource = document.getElementById('setting-shift-source').value;
     const breakAfterHours = parseInt(document.getElementById('setting-break-after').value);
     const breakDurationMinutes = parseInt(document.getElementById('setting-break-duration').value);
     const internationalStudentMaxHours = parseInt(document.getElementById('setting-intl-max').value);
+    const internationalStudentBreakMaxHours = parseInt(document.getElementById('setting-intl-break-max').value);
+    const rules = {};
+    Rules.list.forEach(rule => {
+        rules[rule.id] = document.getElementById(`rule-${rule.id}`).checked;
+    });
+    const allowPartialSchedule = document.getElementById('setting-allow-partial').checked;
+    const higherRolesCoverLower = document.getElementById('setting-role-cover').checked;
+    const storeHours = {};
+    for (const day of CONFIG.days) {
+        if (document.querySelector(`.store-closed[data-day="${day}"]`).checked) {
+            storeHours[day] = null;
+            continue;
+        }
+        const open = parseFloat(document.querySelector(`.store-open[data-day="${day}"]`).value);
+        const close = parseFloat(document.querySelector(`.store-close[data-day="${day}"]`).value);
+        if (close <= open) {
+            showToast(`${day}: closing time must be after opening time`, 'error');
+            return;
+        }
+        storeHours[day] = [open, close];
+    }
+    if (maxShiftHours < minShiftHours) {
+        showToast('Maximum shift length must be at least the minimum', 'error');
+        return;
+    }
+    const weekStartsOn = document.getElementById('setting-week-starts-on').value;
+    const optimizeTimeMs = Math.max(0, parseInt(document.getElementById('setting-optimize-ms').value) || 0);
+    const solverTimeoutSeconds = Math.max(1, parseInt(document.getElementById('setting-solver-timeout').value) || 30);
+    const historyLimit = Math.max(1, parseInt(document.getElementById('setting-history-limit').value) || 20);
 
     Storage.updateSettings({
         storeWeeklyHours,
+        budgetMode,
+        budgetBasis,
+        weeklyCostBudget,
+        overtimeThresholdHours,
+        overtimePremium,
+        overtimeMode,
+        holidayPremium,
         minRestHours,
         maxConsecutiveDays,
+        minConsecutiveDaysOff,
+        maxWeekendsWorked,
+        weekendRotationWeeks,
+        weekendRotationRoles,
         minShiftHours,
+        maxShiftHours,
+        shiftSource,
         breakAfterHours,
         breakDurationMinutes,
-        internationalStudentMaxHours
+        internationalStudentMaxHours,
+        internationalStudentBreakMaxHours,
+        allowPartialSchedule,
+        higherRolesCoverLower,
+        storeHours,
+        weekStartsOn,
+        optimizeTimeMs,
+        solverTimeoutSeconds,
+        historyLimit,
+        rules
     });
+    // The picked week snaps to the new first day of the week
+    updateWeekPicker();
+    renderTimeOffList();
+    renderRequirementsPreview();
     showToast('Settings saved', 'success');
 }
 
@@ -490,22 +691,29 @@ function initEmployeeForm() {
 
     // Break status change - update max hours hint
     document.getElementById('emp-on-break').addEventListener('change', updateMaxHoursHint);
+
+    // Role change - the default minimum hours come from the role
+    document.getElementById('emp-role').addEventListener('change', updateRoleDefaultHints);
 }
 
 function buildAvailabilityGrid() {
     const grid = document.getElementById('availability-grid');
+    const step = CONFIG.availabilityStepMinutes / 60;
+    const cellsPerHour = 60 / CONFIG.availabilityStepMinutes;
+    grid.style.gridTemplateColumns = `auto repeat(${24 * cellsPerHour}, 1fr)`;
+
     let html = '<div class="avail-header"></div>';
 
-    // Hour headers
+    // Hour headers (each spans the cells within that hour)
     for (let h = 0; h < 24; h++) {
-        html += `<div class="avail-header">${h}</div>`;
+        html += `<div class="avail-header" style="grid-column: span ${cellsPerHour};">${h}</div>`;
     }
 
     // Day rows
     for (const day of CONFIG.days) {
         html += `<div class="avail-day">${CONFIG.dayAbbrev[day]}</div>`;
-        for (let h = 0; h < 24; h++) {
-            html += `<div class="avail-cell" data-day="${day}" data-hour="${h}"></div>`;
+        for (let h = 0; h < 24; h += step) {
+            html += `<div class="avail-cell" data-day="${day}" data-hour="${h}" title="${day} ${Scheduler.formatTime(h)}"></div>`;
         }
     }
 
@@ -539,7 +747,7 @@ function buildAvailabilityGrid() {
 
 function toggleCell(cell, value) {
     const day = cell.dataset.day;
-    const hour = parseInt(cell.dataset.hour);
+    const hour = parseFloat(cell.dataset.hour);
 
     if (value) {
         cell.classList.add('selected');
@@ -559,8 +767,13 @@ function openEmployeeModal(employee = null) {
     document.getElementById('emp-id').value = employee?.id || '';
     document.getElementById('emp-name').value = employee?.name || '';
     document.getElementById('emp-role').value = employee?.role || 'PartTime';
+    document.querySelectorAll('.emp-qualified-role').forEach(cb => {
+        cb.checked = (employee?.qualifiedRoles || []).includes(cb.value);
+    });
     document.getElementById('emp-status').value = employee?.employmentStatus || 'Citizen';
     document.getElementById('emp-on-break').checked = employee?.onScheduledBreak || false;
+    document.getElementById('emp-min').value = employee?.minHours ?? '';
+    document.getElementById('emp-wage').value = employee?.hourlyWage ?? '';
     document.getElementById('emp-target').value = employee?.targetHours || 20;
     document.getElementById('emp-max').value = employee?.maxHours || 24;
 
@@ -569,6 +782,7 @@ function openEmployeeModal(employee = null) {
 
     // Update max hours hint for international students
     updateMaxHoursHint();
+    updateRoleDefaultHints();
 
     // Reset availability grid
     availabilityState = {};
@@ -576,11 +790,13 @@ function openEmployeeModal(employee = null) {
 
     // Load availability if editing
     if (employee?.availability) {
+        const step = CONFIG.availabilityStepMinutes / 60;
         for (const day of CONFIG.days) {
-            const range = employee.availability[day];
-            if (range) {
-                availabilityState[day] = new Set();
-                for (let h = range[0]; h < range[1]; h++) {
+            const windows = Scheduler.getAvailabilityWindows(employee, day);
+            if (windows.length === 0) continue;
+            availabilityState[day] = new Set();
+            for (const [start, end] of windows) {
+                for (let h = Math.floor(start / step) * step; h < end; h += step) {
                     availabilityState[day].add(h);
                     const cell = document.querySelector(`.avail-cell[data-day="${day}"][data-hour="${h}"]`);
                     if (cell) cell.classList.add('selected');
@@ -589,9 +805,64 @@ function openEmployeeModal(employee = null) {
         }
     }
 
+    renderPreferenceEditor(employee?.preferences);
+
     openModal('employee-modal');
 }
 
+// Preference weight options, from strongly avoid to strongly prefer
+const PREFERENCE_LEVELS = [
+    { value: -2, label: 'Avoid' },
+    { value: -1, label: 'Rather not' },
+    { value: 0, label: 'No preference' },
+    { value: 1, label: 'Likes' },
+    { value: 2, label: 'Prefers' }
+];
+
+// Build the preference selects for days, time-of-day bands and shift templates
+function renderPreferenceEditor(preferences = {}) {
+    const prefs = preferences || {};
+    const select = (group, key, label) => {
+        const current = prefs[group]?.[key] || 0;
+        return `
+            <label class="preference-item">
+                <span>${label}</span>
+                <select class="emp-preference" data-group="${group}" data-key="${key}">
+                    ${PREFERENCE_LEVELS.map(l => `<option value="${l.value}" ${l.value === current ? 'selected' : ''}>${l.label}</option>`).join('')}
+                </select>
+            </label>
+        `;
+    };
+
+    const templates = Storage.getShifts();
+    document.getElementById('emp-preferences').innerHTML = `
+        <div class="preference-group">
+            <h4>Days</h4>
+            ${CONFIG.days.map(day => select('days', day, day)).join('')}
+        </div>
+        <div class="preference-group">
+            <h4>Time of Day</h4>
+            ${Scheduler.TIME_BANDS.map(band => select('timeBands', band.id, band.label)).join('')}
+        </div>
+        ${templates.length ? `
+            <div class="preference-group">
+                <h4>Shifts</h4>
+                ${templates.map(t => select('templates', t.id, t.name)).join('')}
+            </div>
+        ` : ''}
+    `;
+}
+
+// Read the preference selects, keeping only non-neutral weights
+function readPreferenceEditor() {
+    const preferences = { days: {}, timeBands: {}, templates: {} };
+    document.querySelectorAll('.emp-preference').forEach(sel => {
+        const weight = parseInt(sel.value);
+        if (weight !== 0) preferences[sel.dataset.group][sel.dataset.key] = weight;
+    });
+    return preferences;
+}
+
 // Toggle visibility of break status row
 function toggleBreakStatusRow() {
     const status = document.getElementById('emp-status').value;
@@ -604,6 +875,17 @@ function toggleBreakStatusRow() {
     }
 }
 
+// Show the role's default minimum and wage, which apply when the fields are left blank
+function updateRoleDefaultHints() {
+    const role = Storage.getRoles().find(r => r.name === document.getElementById('emp-role').value);
+    document.getElementById('emp-min-hint').textContent = role?.minHours
+        ? `Blank = ${role.label} default (${role.minHours}h)`
+        : 'Blank = no minimum';
+    document.getElementById('emp-wage-hint').textContent = role?.hourlyWage
+        ? `Blank = ${role.label} default (${Scheduler.formatCost(role.hourlyWage)}/h)`
+        : 'Blank = not costed';
+}
+
 // Update hint text when employment status or break status changes
 function updateMaxHoursHint() {
     const status = document.getElementById('emp-status').value;
@@ -611,22 +893,17 @@ function updateMaxHoursHint() {
     const hint = document.getElementById('emp-max-hint');
     const maxInput = document.getElementById('emp-max');
 
-    if (status === 'InternationalStudent') {
-        const settings = Storage.getSettings();
-        const baseMax = settings.internationalStudentMaxHours || 24;
-        const effectiveMax = onBreak ? 40 : baseMax;
-
-        hint.textContent = onBreak
-            ? `On break: can work up to 40hrs/week`
-            : `Maximum ${baseMax}hrs/week during school term`;
+    // Ask the compliance rules what limits apply to this employee
+    const limits = Rules.validateEmployee({ employmentStatus: status, onScheduledBreak: onBreak }, Storage.getSettings());
+    hint.textContent = limits.messages.join(' · ');
 
+    if (limits.maxHours !== Infinity) {
         // Enforce max on input
-        maxInput.max = effectiveMax;
-        if (parseInt(maxInput.value) > effectiveMax) {
-            maxInput.value = effectiveMax;
+        maxInput.max = limits.maxHours;
+        if (parseInt(maxInput.value) > limits.maxHours) {
+            maxInput.value = limits.maxHours;
         }
     } else {
-        hint.textContent = '';
         maxInput.max = 60;
     }
 }
@@ -638,15 +915,16 @@ function saveEmployee() {
     const onScheduledBreak = document.getElementById('emp-on-break').checked;
     const targetHours = parseInt(document.getElementById('emp-target').value);
     let maxHours = parseInt(document.getElementById('emp-max').value);
-
-    // Enforce max hours for international students based on break status
-    if (employmentStatus === 'InternationalStudent') {
-        const settings = Storage.getSettings();
-        const intlMax = onScheduledBreak ? 40 : (settings.internationalStudentMaxHours || 24);
-        if (maxHours > intlMax) {
-            maxHours = intlMax;
-            showToast(`Max hours capped to ${intlMax} for international students`, 'warning');
-        }
+    const minHoursValue = document.getElementById('emp-min').value;
+    const minHours = minHoursValue === '' ? null : parseInt(minHoursValue);
+    const wageValue = document.getElementById('emp-wage').value;
+    const hourlyWage = wageValue === '' ? null : parseFloat(wageValue);
+
+    // Enforce max hours from the compliance rules (e.g. international student cap by break status)
+    const limits = Rules.validateEmployee({ employmentStatus, onScheduledBreak }, Storage.getSettings());
+    if (maxHours > limits.maxHours) {
+        maxHours = limits.maxHours;
+        showToast(`Max hours capped to ${limits.maxHours}: ${limits.messages.join(', ')}`, 'warning');
     }
 
     if (!name) {
@@ -654,18 +932,40 @@ function saveEmployee() {
         return;
     }
 
-    // Convert availability state to ranges
+    if (minHours !== null && minHours > maxHours) {
+        showToast(`Min hours can't be more than max hours (${maxHours}h)`, 'error');
+        return;
+    }
+
+    // Convert availability state to windows, one per run of consecutive selected cells
     const availability = {};
+    const step = CONFIG.availabilityStepMinutes / 60;
     for (const day of CONFIG.days) {
         if (availabilityState[day] && availabilityState[day].size > 0) {
             const hours = Array.from(availabilityState[day]).sort((a, b) => a - b);
-            availability[day] = [Math.min(...hours), Math.max(...hours) + 1];
+            const windows = [];
+            for (const h of hours) {
+                const last = windows[windows.length - 1];
+                if (last && Math.abs(last[1] - h) < 1e-9) {
+                    last[1] = h + step;
+                } else {
+                    windows.push([h, h + step]);
+                }
+            }
+            availability[day] = windows;
         } else {
             availability[day] = null;
         }
     }
 
-    const employee = { name, role, employmentStatus, onScheduledBreak, targetHours, maxHours, availability };
+    // Additional roles, never including the primary role
+    const qualifiedRoles = Array.from(document.querySelectorAll('.emp-qualified-role:checked'))
+        .map(cb => cb.value)
+        .filter(r => r !== role);
+
+    const preferences = readPreferenceEditor();
+
+    const employee = { name, role, qualifiedRoles, employmentStatus, onScheduledBreak, minHours, targetHours, maxHours, hourlyWage, availability, preferences };
 
     if (editingEmployeeId) {
         Storage.updateEmployee(editingEmployeeId, employee);
@@ -677,13 +977,17 @@ function saveEmployee() {
 
     closeModal('employee-modal');
     renderEmployeeList();
+    renderPairingList();
+    renderTimeOffList();
     updateStats();
 }
 
 function deleteEmployee(id) {
-    showConfirm('Delete this employee?', () => {
+    showConfirm('Delete this employee? Their time off and pairing rules are deleted too.', () => {
         Storage.deleteEmployee(id);
         renderEmployeeList();
+        renderPairingList();
+        renderTimeOffList();
         updateStats();
         showToast('Employee deleted', 'success');
     });
@@ -702,10 +1006,13 @@ function renderEmployeeList() {
     container.innerHTML = employees.map(emp => {
         const role = roles.find(r => r.name === emp.role);
         const roleColor = role?.color || '#666';
+        const minHours = emp.minHours ?? role?.minHours;
+        const hourlyWage = emp.hourlyWage ?? role?.hourlyWage;
 
         const availDays = CONFIG.days.map(d => {
-            const avail = emp.availability[d];
-            return `<div class="day-dot ${avail ? 'available' : ''}" title="${d}">${CONFIG.dayAbbrev[d]}</div>`;
+            const windows = Scheduler.getAvailabilityWindows(emp, d);
+            const times = windows.map(([start, end]) => `${Scheduler.formatTime(start)}-${Scheduler.formatTime(end)}`).join(', ');
+            return `<div class="day-dot ${windows.length ? 'available' : ''}" title="${d}${times ? ` ${times}` : ''}">${CONFIG.dayAbbrev[d]}</div>`;
         }).join('');
 
         return `
@@ -715,8 +1022,11 @@ function renderEmployeeList() {
                     <span class="role-badge" style="background: ${roleColor}; color: white;">${emp.role}</span>
                 </div>
                 <div class="list-item-meta">
+                    ${minHours ? `<span class="meta-item">⬇️ ${minHours}h min</span>` : ''}
                     <span class="meta-item">🎯 ${emp.targetHours}h target</span>
                     <span class="meta-item">📊 ${emp.maxHours}h max</span>
+                    ${hourlyWage ? `<span class="meta-item">💵 ${Scheduler.formatCost(hourlyWage)}/h</span>` : ''}
+                    ${emp.qualifiedRoles?.length ? `<span class="meta-item">🔀 Also ${emp.qualifiedRoles.join(', ')}</span>` : ''}
                 </div>
                 <div class="availability-preview">${availDays}</div>
                 <div class="list-item-actions">
@@ -728,30 +1038,363 @@ function renderEmployeeList() {
     }).join('');
 }
 
+// =============================================================================
+// PAIRING RULES
+// =============================================================================
+
+function initPairingForm() {
+    // Closing-only applies to never-together rules
+    document.getElementById('pairing-type').addEventListener('change', updatePairingForm);
+    document.getElementById('save-pairing-btn').addEventListener('click', savePairing);
+}
+
+function updatePairingForm() {
+    const together = document.getElementById('pairing-type').value === 'mustOverlap';
+    document.getElementById('pairing-closing-row').classList.toggle('hidden', together);
+    document.getElementById('pairing-employee-label').textContent = together ? 'Employee (e.g. new hire)' : 'Employee';
+    document.getElementById('pairing-partner-label').textContent = together ? 'Works Alongside (e.g. trainer)' : 'Never Together With';
+}
+
+function openPairingModal(pairing = null) {
+    editingPairingId = pairing ? pairing.id : null;
+    document.getElementById('pairing-modal-title').textContent = pairing ? 'Edit Pairing Rule' : 'Add Pairing Rule';
+
+    const employees = Storage.getEmployees();
+    const options = employees.map(e => `<option value="${e.id}">${e.name}</option>`).join('');
+    const employeeSelect = document.getElementById('pairing-employee');
+    const partnerSelect = document.getElementById('pairing-partner');
+    employeeSelect.innerHTML = options;
+    partnerSelect.innerHTML = options;
+    if (pairing) {
+        employeeSelect.value = pairing.employeeId;
+        partnerSelect.value = pairing.partnerId;
+    } else if (employees.length > 1) {
+        partnerSelect.value = employees[1].id;
+    }
+
+    document.getElementById('pairing-type').value = pairing?.type || 'mustOverlap';
+    document.getElementById('pairing-closing-only').checked = pairing?.closingOnly || false;
+    document.getElementById('pairing-start').value = pairing?.startDate || '';
+    document.getElementById('pairing-end').value = pairing?.endDate || '';
+    document.getElementById('pairing-note').value = pairing?.note || '';
+    updatePairingForm();
+
+    openModal('pairing-modal');
+}
+
+function savePairing() {
+    const type = document.getElementById('pairing-type').value;
+    const employeeId = parseInt(document.getElementById('pairing-employee').value);
+    const partnerId = parseInt(document.getElementById('pairing-partner').value);
+    const closingOnly = type === 'mustNotOverlap' && document.getElementById('pairing-closing-only').checked;
+    const startDate = document.getElementById('pairing-start').value || null;
+    const endDate = document.getElementById('pairing-end').value || null;
+    const note = document.getElementById('pairing-note').value.trim();
+
+    if (!employeeId || !partnerId) {
+        showToast('Add some employees first', 'error');
+        return;
+    }
+
+    if (employeeId === partnerId) {
+        showToast('Pick two different employees', 'error');
+        return;
+    }
+
+    if (startDate && endDate && endDate < startDate) {
+        showToast('End date must be on or after the start date', 'error');
+        return;
+    }
+
+    const pairing = { type, employeeId, partnerId, closingOnly, startDate, endDate, note };
+
+    if (editingPairingId) {
+        Storage.updatePairing(editingPairingId, pairing);
+        showToast('Pairing rule updated', 'success');
+    } else {
+        Storage.addPairing(pairing);
+        showToast('Pairing rule added', 'success');
+    }
+
+    closeModal('pairing-modal');
+    renderPairingList();
+}
+
+function deletePairing(id) {
+    showConfirm('Delete this pairing rule?', () => {
+        Storage.deletePairing(id);
+        renderPairingList();
+        showToast('Pairing rule deleted', 'success');
+    });
+}
+
+function renderPairingList() {
+    const container = document.getElementById('pairing-list');
+    const employees = Storage.getEmployees();
+    const today = Scheduler.toISODate(new Date());
+    const nameOf = id => employees.find(e => e.id === id)?.name || 'Unknown employee';
+
+    // Expired rules stay listed (greyed out) so they can be extended or cleaned up
+    const pairings = Storage.getPairings();
+    if (pairings.length === 0) {
+        container.innerHTML = '<div class="empty-state"><p>No pairing rules. Click "Add Pairing" to keep a trainee with a trainer or two people apart.</p></div>';
+        return;
+    }
+
+    container.innerHTML = pairings.map(p => {
+        const together = p.type === 'mustOverlap';
+        const title = together
+            ? `${nameOf(p.employeeId)} 🤝 ${nameOf(p.partnerId)}`
+            : `${nameOf(p.employeeId)} 🚫 ${nameOf(p.partnerId)}`;
+        const rule = together
+            ? `Only works when ${nameOf(p.partnerId)} is on`
+            : `Never ${p.closingOnly ? 'close' : 'work'} together`;
+        let dates = 'Always';
+        if (p.startDate && p.endDate) dates = `${formatDateLabel(p.startDate)} – ${formatDateLabel(p.endDate)}`;
+        else if (p.startDate) dates = `From ${formatDateLabel(p.startDate)}`;
+        else if (p.endDate) dates = `Until ${formatDateLabel(p.endDate)}`;
+        const expired = p.endDate && p.endDate < today;
+
+        return `
+            <div class="list-item pairing-item ${expired ? 'expired' : ''}">
+                <div class="list-item-header">
+                    <span class="list-item-title">${title}</span>
+                </div>
+                <div class="list-item-meta">
+                    <span class="meta-item">${together ? '🎓' : '↔️'} ${rule}</span>
+                    <span class="meta-item">📅 ${dates}${expired ? ' (ended)' : ''}</span>
+                </div>
+                ${p.note ? `<p class="timeoff-reason">${escapeHtml(p.note)}</p>` : ''}
+                <div class="list-item-actions">
+                    <button class="btn btn-sm" onclick="openPairingModal(Storage.getPairings().find(r => r.id === ${p.id}))">Edit</button>
+                    <button class="btn btn-sm btn-danger" onclick="deletePairing(${p.id})">Delete</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// =============================================================================
+// TIME OFF
+// =============================================================================
+
+function initTimeOffForm() {
+    document.getElementById('timeoff-from').innerHTML = buildTimeOptions();
+    document.getElementById('timeoff-to').innerHTML = buildTimeOptions();
+
+    document.getElementById('timeoff-all-day').addEventListener('change', (e) => {
+        document.getElementById('timeoff-hours-row').classList.toggle('hidden', e.target.checked);
+    });
+
+    // Keep the end date from falling before the start date
+    document.getElementById('timeoff-start').addEventListener('change', (e) => {
+        const end = document.getElementById('timeoff-end');
+        if (!end.value || end.value < e.target.value) end.value = e.target.value;
+    });
+
+    document.getElementById('save-timeoff-btn').addEventListener('click', saveTimeOff);
+}
+
+function openTimeOffModal(request = null) {
+    editingTimeOffId = request ? request.id : null;
+    document.getElementById('timeoff-modal-title').textContent = request ? 'Edit Time Off' : 'Add Time Off';
+
+    const employees = Storage.getEmployees();
+    const employeeSelect = document.getElementById('timeoff-employee');
+    employeeSelect.innerHTML = employees.map(e => `<option value="${e.id}">${e.name}</option>`).join('');
+    if (request) employeeSelect.value = request.employeeId;
+
+    const today = Scheduler.toISODate(new Date());
+    const allDay = !request || request.startTime == null;
+    document.getElementById('timeoff-start').value = request?.startDate || today;
+    document.getElementById('timeoff-end').value = request?.endDate || today;
+    document.getElementById('timeoff-all-day').checked = allDay;
+    document.getElementById('timeoff-hours-row').classList.toggle('hidden', allDay);
+    document.getElementById('timeoff-from').value = request?.startTime ?? 9;
+    document.getElementById('timeoff-to').value = request?.endTime ?? 12;
+    document.getElementById('timeoff-reason').value = request?.reason || '';
+    document.getElementById('timeoff-status').value = request?.status || 'pending';
+
+    openModal('timeoff-modal');
+}
+
+function saveTimeOff() {
+    const employeeId = parseInt(document.getElementById('timeoff-employee').value);
+    const startDate = document.getElementById('timeoff-start').value;
+    const endDate = document.getElementById('timeoff-end').value;
+    const allDay = document.getElementById('timeoff-all-day').checked;
+    const startTime = allDay ? null : parseFloat(document.getElementById('timeoff-from').value);
+    const endTime = allDay ? null : parseFloat(document.getElementById('timeoff-to').value);
+    const reason = document.getElementById('timeoff-reason').value.trim();
+    const status = document.getElementById('timeoff-status').value;
+
+    if (!employeeId) {
+        showToast('Add an employee first', 'error');
+        return;
+    }
+
+    if (!startDate || !endDate) {
+        showToast('Please choose the dates', 'error');
+        return;
+    }
+
+    if (endDate < startDate) {
+        showToast('End date must be on or after the start date', 'error');
+        return;
+    }
+
+    if (!allDay && endTime <= startTime) {
+        showToast('End time must be after start time', 'error');
+        return;
+    }
+
+    const request = { employeeId, startDate, endDate, startTime, endTime, reason, status };
+
+    if (editingTimeOffId) {
+        Storage.updateTimeOff(editingTimeOffId, request);
+        showToast('Time off updated', 'success');
+    } else {
+        Storage.addTimeOff(request);
+        showToast('Time off added', 'success');
+    }
+
+    closeModal('timeoff-modal');
+    renderTimeOffList();
+}
+
+function setTimeOffStatus(id, status) {
+    Storage.updateTimeOff(id, { status });
+    renderTimeOffList();
+    showToast(`Request ${status}`, 'success');
+}
+
+function deleteTimeOff(id) {
+    showConfirm('Delete this time-off request?', () => {
+        Storage.deleteTimeOff(id);
+        renderTimeOffList();
+        showToast('Request deleted', 'success');
+    });
+}
+
+// e.g. "Oct 20", for the schedule grid headers
+function formatShortDate(isoDate) {
+    return new Date(Scheduler.parseDate(isoDate)).toLocaleDateString(undefined, {
+        month: 'short', day: 'numeric', timeZone: 'UTC'
+    });
+}
+
+// Short date label, e.g. "Fri, Oct 24"
+function formatDateLabel(isoDate) {
+    return new Date(Scheduler.parseDate(isoDate)).toLocaleDateString(undefined, {
+        weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC'
+    });
+}
+
+// User-entered text (notes, holiday names) goes into markup, so keep any markup in it as plain text
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+}
+
+function renderTimeOffList() {
+    const container = document.getElementById('timeoff-list');
+    const employees = Storage.getEmployees();
+    const today = Scheduler.toISODate(new Date());
+    const weekStart = getScheduleWeekStart();
+
+    document.getElementById('timeoff-week-hint').textContent =
+        `Approved requests override weekly availability for the week being scheduled (week of ${formatDateLabel(weekStart)}).`;
+
+    // Upcoming and in-progress requests, soonest first
+    const requests = Storage.getTimeOff()
+        .filter(r => r.endDate >= today)
+        .sort((a, b) => a.startDate.localeCompare(b.startDate) || a.id - b.id);
+
+    if (requests.length === 0) {
+        container.innerHTML = '<div class="empty-state"><p>No upcoming time off. Click "Add Request" to record one.</p></div>';
+        return;
+    }
+
+    const statusLabels = { pending: '⏳ Pending', approved: '✅ Approved', denied: '❌ Denied' };
+    const weekEnd = Scheduler.addDays(weekStart, 6);
+
+    container.innerHTML = requests.map(req => {
+        const emp = employees.find(e => e.id === req.employeeId);
+        const dates = req.startDate === req.endDate
+            ? formatDateLabel(req.startDate)
+            : `${formatDateLabel(req.startDate)} – ${formatDateLabel(req.endDate)}`;
+        const hours = req.startTime == null
+            ? 'All day'
+            : `${Scheduler.formatTime(req.startTime)}-${Scheduler.formatTime(req.endTime)}`;
+        const inWeek = req.startDate <= weekEnd && req.endDate >= weekStart;
+
+        return `
+            <div class="list-item timeoff-item">
+                <div class="list-item-header">
+                    <span class="list-item-title">${emp ? emp.name : 'Unknown employee'}</span>
+                    <span class="timeoff-status ${req.status}">${statusLabels[req.status] || req.status}</span>
+                </div>
+                <div class="list-item-meta">
+                    <span class="meta-item">📅 ${dates}</span>
+                    <span class="meta-item">⏰ ${hours}</span>
+                    ${inWeek ? '<span class="meta-item">📋 In scheduled week</span>' : ''}
+                </div>
+                ${req.reason ? `<p class="timeoff-reason">${escapeHtml(req.reason)}</p>` : ''}
+                <div class="list-item-actions">
+                    ${req.status !== 'approved' ? `<button class="btn btn-sm" onclick="setTimeOffStatus(${req.id}, 'approved')">Approve</button>` : ''}
+                    ${req.status !== 'denied' ? `<button class="btn btn-sm" onclick="setTimeOffStatus(${req.id}, 'denied')">Deny</button>` : ''}
+                    <button class="btn btn-sm" onclick="openTimeOffModal(Storage.getTimeOff().find(r => r.id === ${req.id}))">Edit</button>
+                    <button class="btn btn-sm btn-danger" onclick="deleteTimeOff(${req.id})">Delete</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
 // =============================================================================
 // SHIFT MANAGEMENT
 // =============================================================================
 
+// Build <option> tags for every selectable time of day
+function buildTimeOptions() {
+    const step = CONFIG.timeStepMinutes / 60;
+    let html = '';
+    for (let h = 0; h < 24; h += step) {
+        html += `<option value="${h}">${Scheduler.formatTime(h)}</option>`;
+    }
+    return html;
+}
+
 function initShiftForm() {
     // Populate time dropdowns
     const startSelect = document.getElementById('shift-start');
     const endSelect = document.getElementById('shift-end');
 
-    for (let h = 0; h < 24; h++) {
-        const timeStr = `${String(h).padStart(2, '0')}:00`;
-        startSelect.innerHTML += `<option value="${h}">${timeStr}</option>`;
-        endSelect.innerHTML += `<option value="${h}">${timeStr}</option>`;
-    }
+    startSelect.innerHTML = buildTimeOptions();
+    endSelect.innerHTML = buildTimeOptions();
 
     startSelect.value = 6;
     endSelect.value = 14;
 
+    // Per-day rows: active checkbox plus optional start/end override
+    const dayOptions = '<option value="">Default</option>' + buildTimeOptions();
+    document.getElementById('shift-days').innerHTML = CONFIG.days.map(day => `
+        <div class="shift-day-row">
+            <label class="checkbox-label">
+                <input type="checkbox" class="shift-day-active" data-day="${day}" checked>
+                <span class="checkbox-text">${day}</span>
+            </label>
+            <select class="shift-day-start" data-day="${day}" aria-label="${day} start">${dayOptions}</select>
+            <select class="shift-day-end" data-day="${day}" aria-label="${day} end">${dayOptions}</select>
+        </div>
+    `).join('');
+
     // Update duration preview
     const updateDuration = () => {
-        const start = parseInt(startSelect.value);
-        const end = parseInt(endSelect.value);
-        const duration = end - start;
-        document.getElementById('shift-duration').textContent = duration > 0 ? `${duration} hours` : 'Invalid';
+        const start = parseFloat(startSelect.value);
+        const end = parseFloat(endSelect.value);
+        document.getElementById('shift-duration').textContent = describeShiftDuration(start, end);
     };
 
     startSelect.addEventListener('change', updateDuration);
@@ -761,41 +1404,92 @@ function initShiftForm() {
     document.getElementById('save-shift-btn').addEventListener('click', saveShift);
 }
 
+// Duration preview text; an end time at or before the start runs past midnight
+function describeShiftDuration(start, end) {
+    if (start === end) return 'Invalid';
+    const endHour = Scheduler.normalizeEnd(start, end);
+    const duration = Scheduler.formatHours(endHour - start);
+    return endHour > 24 ? `${duration} hours (overnight, ends next day)` : `${duration} hours`;
+}
+
 function openShiftModal(shift = null) {
     editingShiftId = shift ? shift.id : null;
     document.getElementById('shift-modal-title').textContent = shift ? 'Edit Shift' : 'Add Shift';
 
     document.getElementById('shift-id').value = shift?.id || '';
     document.getElementById('shift-name').value = shift?.name || '';
-    document.getElementById('shift-start').value = shift?.start || 6;
-    document.getElementById('shift-end').value = shift?.end || 14;
+    document.getElementById('shift-start').value = shift?.start ?? 6;
+    document.getElementById('shift-end').value = shift?.end ?? 14;
     document.getElementById('shift-role').value = shift?.role || 'FullTime';
+    document.getElementById('shift-headcount').value = shift?.headcount || 1;
+    document.getElementById('shift-priority').value = shift?.priority || 'normal';
+
+    // Active days and per-day overrides
+    CONFIG.days.forEach(day => {
+        const override = shift?.dayOverrides?.[day];
+        document.querySelector(`.shift-day-active[data-day="${day}"]`).checked = shift ? Scheduler.isTemplateActiveOn(shift, day) : true;
+        document.querySelector(`.shift-day-start[data-day="${day}"]`).value = override?.start ?? '';
+        document.querySelector(`.shift-day-end[data-day="${day}"]`).value = override?.end ?? '';
+    });
 
     // Update duration
-    const start = shift?.start || 6;
-    const end = shift?.end || 14;
-    document.getElementById('shift-duration').textContent = `${end - start} hours`;
+    const start = shift?.start ?? 6;
+    const end = shift?.end ?? 14;
+    document.getElementById('shift-duration').textContent = describeShiftDuration(start, end);
 
     openModal('shift-modal');
 }
 
 function saveShift() {
     const name = document.getElementById('shift-name').value.trim();
-    const start = parseInt(document.getElementById('shift-start').value);
-    const end = parseInt(document.getElementById('shift-end').value);
+    const start = parseFloat(document.getElementById('shift-start').value);
+    const end = parseFloat(document.getElementById('shift-end').value);
     const role = document.getElementById('shift-role').value;
+    const headcount = parseInt(document.getElementById('shift-headcount').value);
+    const priority = document.getElementById('shift-priority').value;
 
     if (!name) {
         showToast('Please enter a shift name', 'error');
         return;
     }
 
-    if (end <= start) {
-        showToast('End time must be after start time', 'error');
+    if (!headcount || headcount < 1) {
+        showToast('At least one staff member is required', 'error');
+        return;
+    }
+
+    if (end === start) {
+        showToast('End time must differ from start time', 'error');
         return;
     }
 
-    const shift = { name, start, end, role };
+    // Collect active days and any per-day time overrides
+    const days = [];
+    const dayOverrides = {};
+    for (const day of CONFIG.days) {
+        if (!document.querySelector(`.shift-day-active[data-day="${day}"]`).checked) continue;
+        days.push(day);
+
+        const startVal = document.querySelector(`.shift-day-start[data-day="${day}"]`).value;
+        const endVal = document.querySelector(`.shift-day-end[data-day="${day}"]`).value;
+        if (startVal === '' && endVal === '') continue;
+
+        const override = {};
+        if (startVal !== '') override.start = parseFloat(startVal);
+        if (endVal !== '') override.end = parseFloat(endVal);
+        if ((override.start ?? start) === (override.end ?? end)) {
+            showToast(`${day}: end time must differ from start time`, 'error');
+            return;
+        }
+        dayOverrides[day] = override;
+    }
+
+    if (days.length === 0) {
+        showToast('Select at least one active day', 'error');
+        return;
+    }
+
+    const shift = { name, start, end, role, headcount, priority, days, dayOverrides };
 
     if (editingShiftId) {
         Storage.updateShift(editingShiftId, shift);
@@ -814,6 +1508,7 @@ function deleteShift(id) {
     showConfirm('Delete this shift template?', () => {
         Storage.deleteShift(id);
         renderShiftList();
+        renderHolidayList();
         updateStats();
         showToast('Shift deleted', 'success');
     });
@@ -833,6 +1528,16 @@ function renderShiftList() {
         const role = roles.find(r => r.name === shift.role);
         const roleColor = role?.color || '#666';
 
+        const endHour = Scheduler.normalizeEnd(shift.start, shift.end);
+
+        const activeDays = CONFIG.days.map(d => {
+            const active = Scheduler.isTemplateActiveOn(shift, d);
+            const override = shift.dayOverrides?.[d];
+            const times = Scheduler.getTemplateTimes(shift, d);
+            const title = override ? `${d} ${Scheduler.formatTime(times.start)}-${Scheduler.formatTime(times.end)}` : d;
+            return `<div class="day-dot ${active ? 'available' : ''} ${active && override ? 'override' : ''}" title="${title}">${CONFIG.dayAbbrev[d]}</div>`;
+        }).join('');
+
         return `
             <div class="list-item">
                 <div class="list-item-header">
@@ -840,9 +1545,12 @@ function renderShiftList() {
                     <span class="role-badge" style="background: ${roleColor}; color: white;">${shift.role}</span>
                 </div>
                 <div class="list-item-meta">
-                    <span class="meta-item">⏰ ${String(shift.start).padStart(2, '0')}:00 - ${String(shift.end).padStart(2, '0')}:00</span>
-                    <span class="meta-item">📊 ${shift.end - shift.start} hours</span>
+                    <span class="meta-item">⏰ ${Scheduler.formatTime(shift.start)} - ${Scheduler.formatTime(shift.end)}${endHour > 24 ? ' 🌙' : ''}</span>
+                    <span class="meta-item">📊 ${Scheduler.formatHours(endHour - shift.start)} hours</span>
+                    <span class="meta-item">👥 ${shift.headcount || 1} staff</span>
+                    ${shift.priority && shift.priority !== 'normal' ? `<span class="meta-item">${shift.priority === 'high' ? '⭐ High' : '💤 Low'} priority</span>` : ''}
                 </div>
+                <div class="availability-preview">${activeDays}</div>
                 <div class="list-item-actions">
                     <button class="btn btn-sm" onclick="openShiftModal(Storage.getShifts().find(s => s.id === ${shift.id}))">Edit</button>
                     <button class="btn btn-sm btn-danger" onclick="deleteShift(${shift.id})">Delete</button>
@@ -853,68 +1561,817 @@ function renderShiftList() {
 }
 
 // =============================================================================
-// SCHEDULER
+// STAFFING REQUIREMENTS
 // =============================================================================
 
-function runScheduler() {
-    const btn = document.getElementById('run-scheduler-btn');
-    const employees = Storage.getEmployees();
-    const shifts = Storage.getShifts();
-    const settings = Storage.getSettings();
+function initRequirementsEditor() {
+    const grid = document.getElementById('requirements-grid');
+    grid.style.gridTemplateColumns = 'auto repeat(24, 1fr)';
 
-    if (employees.length === 0) {
-        showToast('Add some employees first', 'error');
-        return;
+    let html = '<div class="avail-header"></div>';
+    for (let h = 0; h < 24; h++) {
+        html += `<div class="avail-header">${h}</div>`;
     }
-
-    if (shifts.length === 0) {
-        showToast('Add some shift templates first', 'error');
-        return;
+    for (const day of CONFIG.days) {
+        html += `<div class="avail-day">${CONFIG.dayAbbrev[day]}</div>`;
+        for (let h = 0; h < 24; h++) {
+            html += `<div class="avail-cell requirement-cell" data-day="${day}" data-hour="${h}" title="${day} ${Scheduler.formatTime(h)}-${Scheduler.formatTime(h + 1)}"></div>`;
+        }
     }
+    grid.innerHTML = html;
 
-    // Show loading state
-    btn.classList.add('loading');
-    btn.disabled = true;
-    const originalText = btn.innerHTML;
-    btn.innerHTML = '<span>⏳</span> Generating...';
-
-    // Run async to allow UI update
-    setTimeout(() => {
-        try {
-            // Run the scheduler with settings
-            const result = Scheduler.generateSchedule(employees, shifts, settings);
+    // Click or drag along a day to set those hours to the chosen number of staff
+    let painting = false;
+    let paintDay = null;
 
-            if (result.success) {
-                currentSchedule = result;
-                Storage.saveSchedule(result);
-                renderSchedule();
-                updateStats();
-                showToast(`Schedule generated in ${result.solveTime}ms (rest: ${settings.minRestHours}h, max days: ${settings.maxConsecutiveDays})`, 'success');
-            } else {
-                showToast(result.message, 'error');
+    grid.addEventListener('mousedown', (e) => {
+        if (e.target.classList.contains('requirement-cell')) {
+            painting = true;
+            paintDay = e.target.dataset.day;
+            paintRequirementCell(e.target);
+        }
+    });
 
-                if (result.unfillable) {
-                    console.log('Unfillable shifts:', result.unfillable);
-                }
-            }
-        } finally {
-            // Remove loading state
-            btn.classList.remove('loading');
-            btn.disabled = false;
-            btn.innerHTML = originalText;
+    grid.addEventListener('mouseover', (e) => {
+        if (painting && e.target.classList.contains('requirement-cell') && e.target.dataset.day === paintDay) {
+            paintRequirementCell(e.target);
         }
-    }, 50);
+    });
+
+    document.addEventListener('mouseup', () => {
+        if (!painting) return;
+        painting = false;
+        paintDay = null;
+        renderRequirementsPreview();
+    });
+
+    document.getElementById('requirements-role').addEventListener('change', renderRequirements);
+    document.getElementById('clear-requirements-btn').addEventListener('click', clearRequirements);
 }
 
-// =============================================================================
-// SCHEDULE RENDERING
-// =============================================================================
+function paintRequirementCell(cell) {
+    const role = document.getElementById('requirements-role').value;
+    const day = cell.dataset.day;
+    const hour = parseInt(cell.dataset.hour);
+    const count = Math.max(0, parseInt(document.getElementById('requirements-count').value) || 0);
 
-function initViewToggle() {
-    const buttons = document.querySelectorAll('.view-toggle .btn');
+    const requirements = Storage.getRequirements();
+    if (!requirements[role]) requirements[role] = {};
+    if (!requirements[role][day]) requirements[role][day] = new Array(24).fill(0);
+    requirements[role][day][hour] = count;
+    Storage.saveRequirements(requirements);
 
-    buttons.forEach(btn => {
-        btn.addEventListener('click', () => {
+    cell.textContent = count || '';
+    cell.classList.toggle('selected', count > 0);
+}
+
+function clearRequirements() {
+    const role = document.getElementById('requirements-role').value;
+    showConfirm(`Clear all staffing requirements for ${role}?`, () => {
+        const requirements = Storage.getRequirements();
+        delete requirements[role];
+        Storage.saveRequirements(requirements);
+        renderRequirements();
+        showToast('Requirements cleared', 'success');
+    });
+}
+
+function renderRequirements() {
+    const role = document.getElementById('requirements-role').value;
+    const days = Storage.getRequirements()[role] || {};
+
+    document.querySelectorAll('#requirements-grid .requirement-cell').forEach(cell => {
+        const count = days[cell.dataset.day]?.[parseInt(cell.dataset.hour)] || 0;
+        cell.textContent = count || '';
+        cell.classList.toggle('selected', count > 0);
+    });
+
+    renderRequirementsPreview();
+}
+
+// Shifts generated for the selected role, with the hours they overstaff
+function renderRequirementsPreview() {
+    const container = document.getElementById('requirements-preview');
+    const role = document.getElementById('requirements-role').value;
+    const settings = Storage.getSettings();
+    const { minHours, maxHours } = Scheduler.requirementShiftLengths(settings);
+    const days = Storage.getRequirements()[role] || {};
+
+    let required = 0;
+    let scheduled = 0;
+    const rows = CONFIG.days.map(day => {
+        if (!days[day]?.some(n => n > 0)) return '';
+        const storeHours = settings.storeHours ? settings.storeHours[day] : undefined;
+        const cover = Scheduler.coverRequirementDay(days[day], minHours, maxHours, storeHours);
+        required += cover.requiredHours;
+        scheduled += cover.scheduledHours;
+        const shifts = cover.shifts.map(s =>
+            `<span class="requirement-shift">${Scheduler.formatTime(s.start)}-${Scheduler.formatTime(s.end)}${s.headcount > 1 ? ` ×${s.headcount}` : ''}</span>`
+        ).join('');
+        return `
+            <div class="requirement-day">
+                <span class="requirement-day-name">${CONFIG.dayAbbrev[day]}</span>
+                <span class="requirement-shifts">${shifts}</span>
+                ${cover.overstaffedHours ? `<span class="requirement-overstaffed">+${Scheduler.formatHours(cover.overstaffedHours)}h over</span>` : ''}
+            </div>
+        `;
+    }).join('');
+
+    if (!rows) {
+        container.innerHTML = '<div class="empty-state"><p>No requirements for this role yet. Pick a number and drag across the hours that need it.</p></div>';
+        return;
+    }
+
+    const inUse = settings.shiftSource === 'requirements';
+    container.innerHTML = `
+        <p class="hint">
+            Generated ${minHours}-${maxHours}h shifts: ${Scheduler.formatHours(scheduled)}h scheduled for ${Scheduler.formatHours(required)}h needed
+            (${Scheduler.formatHours(scheduled - required)}h overstaffed).
+            ${inUse ? 'The scheduler uses these shifts instead of the shift templates.' : 'Not in use: set <strong>Settings → Shifts come from</strong> to staffing requirements.'}
+        </p>
+        ${rows}
+    `;
+}
+
+// =============================================================================
+// HOLIDAYS
+// =============================================================================
+
+const HOLIDAY_BEHAVIOURS = {
+    closed: '🚪 Closed',
+    reduced: '🕙 Reduced hours',
+    normal: '🏪 Open as usual'
+};
+
+function initHolidayForm() {
+    document.getElementById('holiday-open').innerHTML = buildTimeOptions();
+    document.getElementById('holiday-close').innerHTML = buildTimeOptions();
+
+    document.getElementById('holiday-behaviour').addEventListener('change', updateHolidayForm);
+    document.getElementById('holiday-all-templates').addEventListener('change', updateHolidayForm);
+    document.getElementById('save-holiday-btn').addEventListener('click', saveHoliday);
+}
+
+function updateHolidayForm() {
+    const reduced = document.getElementById('holiday-behaviour').value === 'reduced';
+    const allTemplates = document.getElementById('holiday-all-templates').checked;
+    document.getElementById('holiday-reduced-options').classList.toggle('hidden', !reduced);
+    document.getElementById('holiday-templates').classList.toggle('hidden', allTemplates);
+}
+
+// How a built-in holiday's date is worked out, e.g. "3rd Monday of February"
+function describeHolidayRule(holiday) {
+    const month = m => new Date(Date.UTC(2000, m - 1, 1)).toLocaleDateString(undefined, { month: 'long', timeZone: 'UTC' });
+    const ordinal = n => n + ({ 1: 'st', 2: 'nd', 3: 'rd' }[n] || 'th');
+    switch (holiday.rule) {
+        case 'fixed': return `Every ${month(holiday.month)} ${holiday.day}`;
+        case 'nthWeekday': return `${ordinal(holiday.n)} ${holiday.weekday} of ${month(holiday.month)}`;
+        case 'mondayBefore': return `Monday before ${month(holiday.month)} ${holiday.day}`;
+        case 'easter': {
+            const days = holiday.offset || 0;
+            if (days === 0) return 'Easter Sunday';
+            return `${Math.abs(days)} day${Math.abs(days) === 1 ? '' : 's'} ${days < 0 ? 'before' : 'after'} Easter Sunday`;
+        }
+        default: return formatDateLabel(holiday.date);
+    }
+}
+
+// Next date a holiday falls on, today or later
+function nextHolidayDate(holiday) {
+    const today = Scheduler.toISODate(new Date());
+    const year = Number(today.slice(0, 4));
+    return [year, year + 1]
+        .map(y => Scheduler.holidayDate(holiday, y))
+        .find(date => date && date >= today) || null;
+}
+
+function openHolidayModal(holiday = null) {
+    editingHolidayId = holiday ? holiday.id : null;
+    document.getElementById('holiday-modal-title').textContent = holiday ? 'Edit Holiday' : 'Add Holiday';
+
+    // Recurring holidays keep their rule; only one-off holidays have a date to pick
+    const recurring = holiday && holiday.rule !== 'date';
+    document.getElementById('holiday-date-group').classList.toggle('hidden', recurring);
+    document.getElementById('holiday-rule-hint').classList.toggle('hidden', !recurring);
+    document.getElementById('holiday-rule-hint').textContent = recurring ? `📅 ${describeHolidayRule(holiday)}` : '';
+
+    document.getElementById('holiday-name').value = holiday?.name || '';
+    document.getElementById('holiday-date').value = holiday?.date || getScheduleWeekStart();
+    document.getElementById('holiday-behaviour').value = holiday?.behaviour || 'closed';
+    document.getElementById('holiday-open').value = holiday?.hours?.[0] ?? 10;
+    document.getElementById('holiday-close').value = holiday?.hours?.[1] ?? 18;
+
+    const templateIds = holiday?.templateIds || null;
+    document.getElementById('holiday-all-templates').checked = !templateIds;
+    document.getElementById('holiday-templates').innerHTML = Storage.getShifts().map(t => `
+        <label class="checkbox-label">
+            <input type="checkbox" value="${t.id}" ${templateIds?.includes(t.id) ? 'checked' : ''}>
+            <span class="checkbox-text">${t.name} (${Scheduler.formatTime(t.start)}-${Scheduler.formatTime(t.end)})</span>
+        </label>
+    `).join('');
+
+    updateHolidayForm();
+    openModal('holiday-modal');
+}
+
+function saveHoliday() {
+    const name = document.getElementById('holiday-name').value.trim();
+    const date = document.getElementById('holiday-date').value;
+    const behaviour = document.getElementById('holiday-behaviour').value;
+    const open = parseFloat(document.getElementById('holiday-open').value);
+    const close = parseFloat(document.getElementById('holiday-close').value);
+    const allTemplates = document.getElementById('holiday-all-templates').checked;
+    const templateIds = [...document.querySelectorAll('#holiday-templates input:checked')].map(cb => parseInt(cb.value));
+    const existing = editingHolidayId ? Storage.getHolidays().find(h => h.id === editingHolidayId) : null;
+    const oneOff = !existing || existing.rule === 'date';
+
+    if (!name) {
+        showToast('Please enter a holiday name', 'error');
+        return;
+    }
+
+    if (oneOff && !date) {
+        showToast('Please choose the date', 'error');
+        return;
+    }
+
+    if (behaviour === 'reduced' && close <= open) {
+        showToast('Closing time must be after opening time', 'error');
+        return;
+    }
+
+    if (behaviour === 'reduced' && !allTemplates && templateIds.length === 0) {
+        showToast('Choose at least one shift to run', 'error');
+        return;
+    }
+
+    const holiday = {
+        name,
+        behaviour,
+        hours: behaviour === 'reduced' ? [open, close] : null,
+        templateIds: behaviour === 'reduced' && !allTemplates ? templateIds : null
+    };
+    if (oneOff) Object.assign(holiday, { rule: 'date', date });
+
+    if (editingHolidayId) {
+        Storage.updateHoliday(editingHolidayId, holiday);
+        showToast('Holiday updated', 'success');
+    } else {
+        Storage.addHoliday(holiday);
+        showToast('Holiday added', 'success');
+    }
+
+    closeModal('holiday-modal');
+    renderHolidayList();
+}
+
+function deleteHoliday(id) {
+    showConfirm('Delete this holiday?', () => {
+        Storage.deleteHoliday(id);
+        renderHolidayList();
+        showToast('Holiday deleted', 'success');
+    });
+}
+
+function renderHolidayList() {
+    const container = document.getElementById('holiday-list');
+    const shifts = Storage.getShifts();
+
+    // Soonest first; past one-off holidays drop to the end
+    const holidays = Storage.getHolidays()
+        .map(h => ({ ...h, next: nextHolidayDate(h) }))
+        .sort((a, b) => (a.next || '9999').localeCompare(b.next || '9999') || a.id - b.id);
+
+    if (holidays.length === 0) {
+        container.innerHTML = '<div class="empty-state"><p>No holidays. Click "Add Holiday" to add one.</p></div>';
+        return;
+    }
+
+    container.innerHTML = holidays.map(holiday => {
+        let reduced = '';
+        if (holiday.behaviour === 'reduced') {
+            const hours = holiday.hours ? `${Scheduler.formatTime(holiday.hours[0])}-${Scheduler.formatTime(holiday.hours[1])}` : '';
+            const templates = holiday.templateIds
+                ? holiday.templateIds.map(id => shifts.find(s => s.id === id)?.name).filter(Boolean).join(', ') || 'No shifts'
+                : 'Shifts within opening hours';
+            reduced = `<span class="meta-item">⏰ ${hours}</span><span class="meta-item">📋 ${templates}</span>`;
+        }
+
+        return `
+            <div class="list-item holiday-item">
+                <div class="list-item-header">
+                    <span class="list-item-title">${escapeHtml(holiday.name)}</span>
+                    <span class="holiday-behaviour ${holiday.behaviour}">${HOLIDAY_BEHAVIOURS[holiday.behaviour] || holiday.behaviour}</span>
+                </div>
+                <div class="list-item-meta">
+                    <span class="meta-item">📅 ${holiday.next ? formatDateLabel(holiday.next) : 'Past'}</span>
+                    ${holiday.rule !== 'date' ? `<span class="meta-item">🔁 ${describeHolidayRule(holiday)}</span>` : ''}
+                    ${reduced}
+                </div>
+                <div class="list-item-actions">
+                    <button class="btn btn-sm" onclick="openHolidayModal(Storage.getHolidays().find(h => h.id === ${holiday.id}))">Edit</button>
+                    <button class="btn btn-sm btn-danger" onclick="deleteHoliday(${holiday.id})">Delete</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// =============================================================================
+// SCHEDULER
+// =============================================================================
+
+function runScheduler() {
+    // While a run is in progress the button is a Cancel button
+    if (schedulerRun) {
+        cancelScheduler();
+        return;
+    }
+
+    const btn = document.getElementById('run-scheduler-btn');
+    const employees = Storage.getEmployees();
+    // The week being scheduled, its time off, pairing rules, earlier schedules (for the weekend
+    // rotation), the holiday calendar and the role hierarchy travel with the settings
+    const weekStart = getScheduleWeekStart();
+    const settings = {
+        ...Storage.getSettings(),
+        weekStart,
+        timeOff: Storage.getTimeOff(),
+        pairings: Storage.getPairings(),
+        previousSchedules: getPreviousSchedules(weekStart),
+        holidays: Storage.getHolidays(),
+        roles: Storage.getRoles()
+    };
+    // Shift templates, or shifts generated to cover the hourly staffing requirements
+    const fromRequirements = settings.shiftSource === 'requirements';
+    if (fromRequirements) settings.requirements = Storage.getRequirements();
+    const shifts = fromRequirements
+        ? Scheduler.templatesFromRequirements(settings.requirements, settings)
+        : Storage.getShifts();
+
+    if (employees.length === 0) {
+        showToast('Add some employees first', 'error');
+        return;
+    }
+
+    if (shifts.length === 0) {
+        showToast(fromRequirements ? 'Set some staffing requirements first' : 'Add some shift templates first', 'error');
+        return;
+    }
+
+    // Show running state
+    schedulerRun = { worker: null, timer: null, originalText: btn.innerHTML };
+    btn.classList.add('running');
+    btn.innerHTML = '<span>⏹️</span> Cancel';
+    showSchedulerProgress('Starting...');
+
+    let worker;
+    try {
+        worker = new Worker('scheduler-worker.js');
+    } catch (err) {
+        runSchedulerInline(employees, shifts, settings);
+        return;
+    }
+    schedulerRun.worker = worker;
+    // Set once the worker has loaded and reported back, so later errors aren't mistaken for a failed start
+    let workerStarted = false;
+
+    worker.onmessage = (event) => {
+        const message = event.data;
+        workerStarted = true;
+        if (message.type === 'progress') {
+            showSchedulerProgress(describeProgress(message.progress));
+        } else if (message.type === 'result') {
+            finishSchedulerRun();
+            handleScheduleResult(message.result, message.diagnosis, settings);
+        } else if (message.type === 'error') {
+            finishSchedulerRun();
+            showToast(`Scheduler error: ${message.message}`, 'error');
+        }
+    };
+
+    worker.onerror = (event) => {
+        event.preventDefault();
+        worker.terminate();
+        schedulerRun.worker = null;
+        // Some browsers can't start workers from file:// pages, so run on the main thread instead;
+        // an error after the worker is up is a real failure and rerunning wouldn't help
+        if (!workerStarted) {
+            runSchedulerInline(employees, shifts, settings);
+            return;
+        }
+        finishSchedulerRun();
+        showToast(`Scheduler error: ${event.message || 'the scheduler stopped unexpectedly'}`, 'error');
+    };
+
+    worker.postMessage({ type: 'run', employees, shifts, settings });
+}
+
+// Start date of the week the scheduler plans for: the week picked on the Schedule tab, else the coming week
+function getScheduleWeekStart() {
+    const settings = Storage.getSettings();
+    const weekStartsOn = settings.weekStartsOn || 'Monday';
+    return settings.scheduleWeekStart
+        ? Scheduler.weekStartFor(settings.scheduleWeekStart, weekStartsOn)
+        : Scheduler.nextWeekStart(new Date(), weekStartsOn);
+}
+
+function initWeekPicker() {
+    const input = document.getElementById('schedule-week');
+    input.addEventListener('change', () => {
+        // Any date picks the week containing it; clearing the picker goes back to the coming week
+        Storage.updateSettings({ scheduleWeekStart: input.value || null });
+        updateWeekPicker();
+        renderTimeOffList();
+    });
+    document.getElementById('schedule-horizon').addEventListener('change', (e) => {
+        Storage.updateSettings({ horizonWeeks: parseInt(e.target.value) });
+        updateWeekPicker();
+    });
+    updateWeekPicker();
+}
+
+function updateWeekPicker() {
+    const weekStart = getScheduleWeekStart();
+    const weeks = Scheduler.horizonLength(Storage.getSettings());
+    document.getElementById('schedule-week').value = weekStart;
+    document.getElementById('schedule-horizon').value = weeks;
+    document.getElementById('schedule-week-range').textContent =
+        `${formatDateLabel(weekStart)} – ${formatDateLabel(Scheduler.addDays(weekStart, 7 * weeks - 1))}`;
+}
+
+// Day names and dates of the schedule on screen, in week order
+// (schedules saved before dated weeks have no weekStartsOn and run Monday-Sunday)
+function getScheduleDays() {
+    const { weekStart, weekStartsOn } = currentSchedule.constraints || {};
+    return Scheduler.weekDays(weekStartsOn).map((day, i) => ({
+        day,
+        date: weekStart ? Scheduler.addDays(weekStart, i) : null
+    }));
+}
+
+// Saved schedules for weeks before weekStart (only the last run is kept, one week or a multi-week horizon)
+function getPreviousSchedules(weekStart) {
+    // For each earlier week: the published schedule, else the one on screen, else the newest
+    const history = Storage.getHistory();
+    const openId = Storage.getOpenScheduleId();
+    const rank = entry => (entry.published ? 0 : entry.id === openId ? 1 : 2);
+    const byWeek = {};
+    for (const entry of [...history].sort((a, b) => rank(a) - rank(b))) {
+        const weeks = entry.schedule.horizon ? entry.schedule.weeks : [entry.schedule];
+        for (const week of weeks) {
+            const start = week.constraints?.weekStart;
+            if (start && start < weekStart && !byWeek[start]) byWeek[start] = week;
+        }
+    }
+    return Object.keys(byWeek).sort().map(start => byWeek[start]);
+}
+
+/**
+ * Fallback when workers are unavailable: run on the main thread (can't be cancelled, still times out)
+ */
+function runSchedulerInline(employees, shifts, settings) {
+    showSchedulerProgress('Generating...');
+
+    // Run async to allow UI update; cancelling before then clears the timer
+    schedulerRun.timer = setTimeout(() => {
+        try {
+            const deadline = performance.now() + (settings.solverTimeoutSeconds ?? 30) * 1000;
+            const horizon = Scheduler.horizonLength(settings) > 1;
+            const result = horizon
+                ? Scheduler.generateHorizon(employees, shifts, settings, { deadline })
+                : Scheduler.generateSchedule(employees, shifts, settings, { deadline });
+            let diagnosis = null;
+            if ((!result.success || result.partial) && !result.timedOut) {
+                diagnosis = horizon
+                    ? Scheduler.diagnoseHorizon(employees, shifts, settings, result, { deadline })
+                    : Scheduler.diagnose(employees, shifts, settings, { deadline });
+            }
+            finishSchedulerRun();
+            handleScheduleResult(result, diagnosis, settings);
+        } catch (err) {
+            finishSchedulerRun();
+            showToast(`Scheduler error: ${err.message}`, 'error');
+        }
+    }, 50);
+}
+
+function cancelScheduler() {
+    if (schedulerRun.worker) schedulerRun.worker.terminate();
+    clearTimeout(schedulerRun.timer);
+    finishSchedulerRun();
+    showToast('Scheduling cancelled', 'warning');
+}
+
+function finishSchedulerRun() {
+    if (!schedulerRun) return;
+    const btn = document.getElementById('run-scheduler-btn');
+    btn.classList.remove('running');
+    btn.innerHTML = schedulerRun.originalText;
+    showSchedulerProgress(null);
+    schedulerRun = null;
+}
+
+function showSchedulerProgress(text) {
+    const el = document.getElementById('scheduler-progress');
+    el.textContent = text || '';
+    el.classList.toggle('hidden', !text);
+}
+
+function describeProgress(progress) {
+    if (progress.phase === 'diagnosing') return 'Diagnosing open shifts...';
+    const week = progress.weeks ? `Week ${progress.week}/${progress.weeks} · ` : '';
+    if (progress.phase === 'improving') {
+        return `${week}Improving · best score ${Scheduler.formatHours(progress.bestScore)}`;
+    }
+    return `${week}Assigned ${progress.filled}/${progress.total} · ${progress.backtracks.toLocaleString()} backtracks`;
+}
+
+function handleScheduleResult(result, diagnosis, settings) {
+    if (result.horizon) {
+        handleHorizonResult(result, diagnosis, settings);
+        return;
+    }
+
+    if (result.success) {
+        result.diagnosis = diagnosis;
+        currentSchedule = result;
+        currentHorizon = null;
+        renderHorizonTabs();
+        archiveSchedule(result, `Week of ${formatDateLabel(result.constraints.weekStart)}`, settings);
+        renderSchedule();
+        updateStats();
+        if (result.timedOut) {
+            showToast(`Timed out after ${settings.solverTimeoutSeconds ?? 30}s - showing the best schedule found`, 'warning');
+        } else if (result.partial) {
+            const unfilled = result.openShifts.filter(s => s.reason !== 'BUDGET').length;
+            const gaps = result.coverageGaps?.length || 0;
+            const shortfalls = result.hoursShortfalls?.length || 0;
+            const problems = [
+                unfilled ? `${unfilled} shift(s) left open` : '',
+                gaps ? `${gaps} manager coverage gap(s)` : '',
+                shortfalls ? `${shortfalls} employee(s) below minimum hours` : ''
+            ].filter(Boolean).join(', ');
+            showToast(`Partial schedule generated in ${result.solveTime}ms - ${problems}`, 'warning');
+        } else {
+            showToast(`Schedule generated in ${result.solveTime}ms (rest: ${settings.minRestHours}h, max days: ${settings.maxConsecutiveDays})`, 'success');
+        }
+    } else {
+        showToast(result.message, 'error');
+        renderDiagnosis(diagnosis);
+    }
+}
+
+/**
+ * Multi-week result: keep the weeks that were scheduled (a failing week ends the run) and show the first
+ */
+function handleHorizonResult(result, diagnoses, settings) {
+    result.weeks.forEach((week, i) => { week.diagnosis = diagnoses?.[i] ?? null; });
+    const scheduled = result.weeks.filter(w => w.success);
+    const failed = result.weeks.find(w => !w.success);
+    const failedWeekStart = Scheduler.addDays(getScheduleWeekStart(), 7 * result.weeks.indexOf(failed));
+
+    if (scheduled.length > 0) {
+        const horizon = { ...result, weeks: scheduled };
+        archiveSchedule(horizon, `${scheduled.length} weeks from ${formatDateLabel(scheduled[0].constraints.weekStart)}`, settings);
+        showHorizon(horizon);
+        updateStats();
+    }
+
+    const weeks = `${scheduled.length} week(s)`;
+    if (failed) {
+        showToast(`Week of ${formatDateLabel(failedWeekStart)}: ${failed.message}` +
+            (scheduled.length ? ` - kept the ${weeks} before it` : ''), 'error');
+        if (scheduled.length === 0) renderDiagnosis(failed.diagnosis);
+    } else if (result.timedOut) {
+        showToast(`Timed out after ${settings.solverTimeoutSeconds ?? 30}s - showing the best schedules found`, 'warning');
+    } else if (result.partial) {
+        const unfilled = scheduled.reduce((sum, w) => sum + w.openShifts.filter(s => s.reason !== 'BUDGET').length, 0);
+        showToast(`Partial ${weeks} schedule generated in ${result.solveTime}ms - ${unfilled} shift(s) left open`, 'warning');
+    } else {
+        showToast(`${weeks} schedule generated in ${result.solveTime}ms`, 'success');
+    }
+}
+
+// Show a multi-week schedule, starting with its first week
+function showHorizon(horizon, index = 0) {
+    currentHorizon = horizon;
+    currentSchedule = horizon.weeks[index];
+    renderHorizonTabs();
+    renderSchedule();
+}
+
+function renderHorizonTabs() {
+    const container = document.getElementById('horizon-weeks');
+    if (!currentHorizon) {
+        container.classList.add('hidden');
+        container.innerHTML = '';
+        return;
+    }
+
+    container.innerHTML = currentHorizon.weeks.map((week, i) => `
+        <button class="btn btn-sm ${week === currentSchedule ? 'active' : ''} ${week.partial ? 'partial' : ''}" data-week="${i}">
+            Week ${i + 1} · ${formatShortDate(week.constraints.weekStart)}
+        </button>
+    `).join('');
+    container.querySelectorAll('[data-week]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            showHorizon(currentHorizon, parseInt(btn.dataset.week));
+            updateStats();
+        });
+    });
+    container.classList.remove('hidden');
+}
+
+// =============================================================================
+// SCHEDULE HISTORY
+// =============================================================================
+
+// Settings merged in by runScheduler for a run rather than saved settings
+const RUN_CONTEXT_KEYS = ['weekStart', 'timeOff', 'pairings', 'previousSchedules', 'holidays', 'roles', 'requirements'];
+
+// Archive a new schedule with the settings its run used (including the week's time off, pairings,
+// holidays, roles and staffing requirements), and open it
+// The earlier weeks it was chained onto are left out: they are in the history already
+function archiveSchedule(schedule, name, settings) {
+    const { previousSchedules, ...snapshot } = settings;
+    try {
+        const { dropped } = Storage.addToHistory(schedule, name, snapshot);
+        if (dropped > 0) {
+            showToast(`Removed ${dropped} old schedule(s) from history to make room`, 'warning');
+        }
+    } catch (err) {
+        showToast('Schedule is too large to keep in history', 'error');
+    }
+    renderHistoryList();
+}
+
+// Show a saved schedule (one week or a multi-week run)
+function showArchivedSchedule(schedule) {
+    if (schedule.horizon) {
+        showHorizon(schedule);
+    } else {
+        currentSchedule = schedule;
+        currentHorizon = null;
+        renderHorizonTabs();
+        renderSchedule();
+    }
+}
+
+function clearScheduleView() {
+    currentSchedule = null;
+    currentHorizon = null;
+    renderHorizonTabs();
+    document.getElementById('schedule-grid').innerHTML = '<div class="empty-state"><p>🚀 Click <strong>Run Scheduler</strong> to generate a schedule</p></div>';
+    document.getElementById('schedule-list').innerHTML = '';
+    document.getElementById('hours-summary').innerHTML = '<div class="empty-state"><p>Run the scheduler to see hours summary</p></div>';
+    document.getElementById('budget-report').classList.add('hidden');
+    document.getElementById('pattern-violations').classList.add('hidden');
+    renderDiagnosis(null);
+    document.getElementById('score-summary').classList.add('hidden');
+    updateStats();
+}
+
+function openHistoryEntry(id) {
+    const entry = Storage.getHistory().find(h => h.id === id);
+    if (!entry) return;
+
+    Storage.setOpenSchedule(id);
+    showArchivedSchedule(entry.schedule);
+    updateStats();
+    renderHistoryList();
+    showToast(`Opened ${entry.name}`, 'success');
+}
+
+function renameHistoryEntry(id, name) {
+    if (!name.trim()) {
+        showToast('Schedule name cannot be empty', 'error');
+        renderHistoryList();
+        return;
+    }
+    Storage.updateHistoryEntry(id, { name: name.trim() });
+}
+
+function togglePublishedEntry(id) {
+    const entry = Storage.getHistory().find(h => h.id === id);
+    if (!entry) return;
+
+    Storage.publishHistoryEntry(id, !entry.published);
+    renderHistoryList();
+    showToast(entry.published ? `${entry.name} unpublished` : `${entry.name} published - later weeks follow on from it`, 'success');
+}
+
+function duplicateHistoryEntry(id) {
+    try {
+        const { dropped } = Storage.duplicateHistoryEntry(id);
+        openHistoryEntry(Storage.getOpenScheduleId());
+        if (dropped > 0) showToast(`Removed ${dropped} old schedule(s) from history to make room`, 'warning');
+    } catch (err) {
+        showToast('Not enough storage to duplicate this schedule', 'error');
+    }
+}
+
+function deleteHistoryEntry(id) {
+    showConfirm('Delete this schedule from history?', () => {
+        const wasOpen = Storage.getOpenScheduleId() === id;
+        Storage.deleteHistoryEntry(id);
+        if (wasOpen) clearScheduleView();
+        renderHistoryList();
+        showToast('Schedule deleted', 'success');
+    });
+}
+
+function exportHistoryEntry(id) {
+    const entry = Storage.getHistory().find(h => h.id === id);
+    if (!entry) return;
+
+    const blob = new Blob([JSON.stringify(entry, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `schedule-${entry.weekStart || entry.createdAt.slice(0, 10)}-${entry.id}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+    showToast('Schedule exported', 'success');
+}
+
+// Put the settings back the way they were when a schedule was made
+function restoreHistorySettings(id) {
+    const entry = Storage.getHistory().find(h => h.id === id);
+    if (!entry?.settings) return;
+
+    showConfirm(`Replace the current settings with the ones used for ${entry.name}?`, () => {
+        const settings = Object.fromEntries(Object.entries(entry.settings).filter(([key]) => !RUN_CONTEXT_KEYS.includes(key)));
+        Storage.saveSettings(settings);
+        loadSettings();
+        updateWeekPicker();
+        showToast('Settings restored', 'success');
+    });
+}
+
+function renderHistoryList() {
+    const container = document.getElementById('history-list');
+    const history = Storage.getHistory();
+    const openId = Storage.getOpenScheduleId();
+    const limit = Storage.getSettings().historyLimit ?? 20;
+
+    document.getElementById('history-hint').textContent =
+        `Every generated schedule is kept here with the settings it was made with (the newest ${limit} plus any published ones; change this under Settings).`;
+
+    if (history.length === 0) {
+        container.innerHTML = '<div class="empty-state"><p>No saved schedules yet. Run the scheduler to create one.</p></div>';
+        return;
+    }
+
+    container.innerHTML = history.map(entry => {
+        const weeks = entry.schedule.horizon ? entry.schedule.weeks : [entry.schedule];
+        const dates = entry.weekStart
+            ? `${formatDateLabel(entry.weekStart)} – ${formatDateLabel(Scheduler.addDays(entry.weekStart, 7 * entry.weekCount - 1))}`
+            : 'Undated week';
+        const hours = weeks.reduce((sum, w) => sum + (w.stats?.totalHours || 0), 0);
+        const cost = weeks.reduce((sum, w) => sum + (w.stats?.totalCost || 0), 0);
+        const partial = weeks.some(w => w.partial);
+        const created = new Date(entry.createdAt).toLocaleString(undefined, {
+            month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+        });
+
+        return `
+            <div class="list-item history-item ${entry.id === openId ? 'open' : ''}">
+                <div class="list-item-header">
+                    <input type="text" class="history-name" value="${entry.name.replace(/"/g, '&quot;')}"
+                        aria-label="Schedule name" onchange="renameHistoryEntry(${entry.id}, this.value)">
+                    ${entry.published ? '<span class="history-open">📢 Published</span>' : ''}
+                    ${entry.id === openId ? '<span class="history-open">👁️ Showing</span>' : ''}
+                </div>
+                <div class="list-item-meta">
+                    <span class="meta-item">📅 ${dates}</span>
+                    <span class="meta-item">🕒 ${created}</span>
+                    <span class="meta-item">⏰ ${Scheduler.formatHours(hours)}h</span>
+                    ${cost ? `<span class="meta-item">💵 ${Scheduler.formatCost(cost)}</span>` : ''}
+                    ${partial ? '<span class="meta-item">⚠️ Partial</span>' : ''}
+                </div>
+                <div class="list-item-actions">
+                    <button class="btn btn-sm" onclick="openHistoryEntry(${entry.id})">Open</button>
+                    <button class="btn btn-sm" onclick="togglePublishedEntry(${entry.id})">${entry.published ? 'Unpublish' : 'Publish'}</button>
+                    <button class="btn btn-sm" onclick="duplicateHistoryEntry(${entry.id})">Duplicate</button>
+                    <button class="btn btn-sm" onclick="exportHistoryEntry(${entry.id})">Export</button>
+                    ${entry.settings ? `<button class="btn btn-sm" onclick="restoreHistorySettings(${entry.id})">Restore Settings</button>` : ''}
+                    <button class="btn btn-sm btn-danger" onclick="deleteHistoryEntry(${entry.id})">Delete</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// =============================================================================
+// SCHEDULE RENDERING
+// =============================================================================
+
+function initViewToggle() {
+    const buttons = document.querySelectorAll('.view-toggle .btn');
+
+    buttons.forEach(btn => {
+        btn.addEventListener('click', () => {
             const view = btn.dataset.view;
 
             buttons.forEach(b => b.classList.remove('active'));
@@ -929,9 +2386,78 @@ function initViewToggle() {
 function renderSchedule() {
     if (!currentSchedule || !currentSchedule.schedule) return;
 
+    renderBudgetReport();
+    renderPatternViolations();
     renderScheduleGrid();
     renderScheduleList();
     renderHoursSummary();
+    renderScoreSummary();
+    renderDiagnosis(currentSchedule.diagnosis);
+}
+
+// Check the schedule against the current days-off settings, which may have changed since it was made
+function getDaysOffViolations() {
+    const weekStart = currentSchedule.constraints?.weekStart;
+    const constraints = Scheduler.getConstraints({
+        ...Storage.getSettings(),
+        weekStart,
+        previousSchedules: weekStart ? getPreviousSchedules(weekStart) : []
+    });
+    return Scheduler.findDaysOffViolations(Storage.getEmployees(), currentSchedule.schedule, constraints);
+}
+
+function renderPatternViolations() {
+    const container = document.getElementById('pattern-violations');
+    const violations = getDaysOffViolations();
+
+    if (violations.length === 0) {
+        container.classList.add('hidden');
+        container.innerHTML = '';
+        return;
+    }
+
+    container.innerHTML = `🛌 <strong>${violations.length}</strong> days-off pattern violation(s) under the current settings — re-run the scheduler to fix:
+        <ul>${violations.map(v => `<li>${v.message}</li>`).join('')}</ul>`;
+    container.classList.remove('hidden');
+}
+
+function renderBudgetReport() {
+    const container = document.getElementById('budget-report');
+    const budget = currentSchedule.budget;
+
+    // Schedules saved before wage budgets were added are hours-only
+    const basis = budget?.basis || 'hours';
+    const costOverBy = budget?.costOverBy || 0;
+    if (!budget || budget.mode === 'off' || (budget.cutShifts === 0 && budget.overBy === 0 && costOverBy === 0)) {
+        container.classList.add('hidden');
+        container.innerHTML = '';
+        return;
+    }
+
+    const limits = [
+        basis !== 'cost' ? `${budget.hours}h` : null,
+        basis !== 'hours' ? Scheduler.formatCost(budget.cost) : null
+    ].filter(Boolean).join(' / ');
+    const costNote = amount => basis !== 'hours' ? `, ${Scheduler.formatCost(amount)}` : '';
+
+    let html;
+    if (budget.mode === 'hard') {
+        html = `💰 Demand of ${Scheduler.formatHours(budget.demandedPaidHours)} paid hours exceeds the ${limits} budget.
+            Left <strong>${budget.cutShifts}</strong> lower-priority shift(s) open (${Scheduler.formatHours(budget.cutPaidHours)}h${costNote(budget.cutCost)}) — scheduled ${Scheduler.formatHours(budget.scheduledPaidHours)}h${costNote(budget.scheduledCost)}.`;
+    } else {
+        const cuts = budget.suggestedCuts.map(c =>
+            `<li>${c.day} ${c.shiftName} ${c.shift} (${c.employee}, ${Scheduler.formatHours(c.paidHours)}h${costNote(c.cost)}${c.priority !== 'normal' ? `, ${c.priority} priority` : ''})</li>`
+        ).join('');
+        const over = [
+            budget.overBy > 0 ? `${Scheduler.formatHours(budget.overBy)}h` : null,
+            costOverBy > 0 ? Scheduler.formatCost(costOverBy) : null
+        ].filter(Boolean).join(' and ');
+        html = `💰 Schedule is <strong>${over} over</strong> the ${limits} budget.
+            ${cuts ? `To stay within budget, these shifts would be left open first:<ul>${cuts}</ul>` : ''}`;
+    }
+
+    container.innerHTML = html;
+    container.classList.remove('hidden');
 }
 
 function renderScheduleGrid() {
@@ -940,6 +2466,11 @@ function renderScheduleGrid() {
     const roles = Storage.getRoles();
     const settings = Storage.getSettings();
     const storeWeeklyBudget = settings.storeWeeklyHours || 280;
+    const budgetBasis = settings.budgetBasis || 'hours';
+    const weeklyCostBudget = settings.weeklyCostBudget ?? 5000;
+    const week = getScheduleDays();
+    const days = week.map(d => d.day);
+    const holidays = Object.fromEntries((currentSchedule.constraints?.holidays || []).map(h => [h.date, h]));
 
     // Group by employee
     const byEmployee = {};
@@ -958,18 +2489,27 @@ function renderScheduleGrid() {
     // Calculate daily totals
     const dailyTotals = {};
     const dailyPaidTotals = {};
-    CONFIG.days.forEach(day => {
+    const dailyCostTotals = {};
+    const dailyPremiumTotals = {};
+    days.forEach(day => {
         dailyTotals[day] = 0;
         dailyPaidTotals[day] = 0;
+        dailyCostTotals[day] = 0;
+        dailyPremiumTotals[day] = 0;
     });
 
     let weekGrossTotal = 0;
     let weekPaidTotal = 0;
+    let weekCostTotal = 0;
 
     // Header row
     let html = '<div class="grid-header employee-col">Employee</div>';
-    CONFIG.days.forEach(d => {
-        html += `<div class="grid-header">${CONFIG.dayAbbrev[d]}</div>`;
+    week.forEach(({ day, date }) => {
+        const holiday = holidays[date];
+        const holidayNote = holiday
+            ? `<span class="grid-header-holiday ${holiday.behaviour}" title="${HOLIDAY_BEHAVIOURS[holiday.behaviour] || ''}">🎉 ${escapeHtml(holiday.name)}${holiday.behaviour === 'closed' ? ' (closed)' : ''}</span>`
+            : '';
+        html += `<div class="grid-header ${holiday ? 'holiday' : ''}">${CONFIG.dayAbbrev[day]}${date ? `<span class="grid-header-date">${formatShortDate(date)}</span>` : ''}${holidayNote}</div>`;
     });
     html += '<div class="grid-header">Total</div>';
 
@@ -980,10 +2520,12 @@ function renderScheduleGrid() {
 
         let empGross = 0;
         let empPaid = 0;
+        let empCost = 0;
+        let empOvertime = 0;
 
         html += `<div class="grid-cell employee-cell">${emp.name}</div>`;
 
-        CONFIG.days.forEach(day => {
+        days.forEach(day => {
             const s = emp.shifts[day];
             if (s) {
                 const hours = s.hours || (s.end - s.start);
@@ -994,11 +2536,31 @@ function renderScheduleGrid() {
                 empPaid += paidHours;
                 dailyTotals[day] += hours;
                 dailyPaidTotals[day] += paidHours;
-
-                const breakNote = hasBreak ? `<div class="shift-hours-info"><span class="paid">${paidHours}h paid</span></div>` : '';
+                // Schedules saved before wages were added have no cost
+                empCost += s.cost || 0;
+                dailyCostTotals[day] += s.cost || 0;
+                empOvertime += s.overtimeHours || 0;
+                dailyPremiumTotals[day] += s.premiumHours || 0;
+
+                const breakNote = hasBreak ? `<div class="shift-hours-info"><span class="paid">${Scheduler.formatHours(paidHours)}h paid</span></div>` : '';
+                const slotNote = s.headcount > 1 ? ` (${s.slot + 1}/${s.headcount})` : '';
+                const overnightNote = s.overnight ? ' 🌙 ends next day' : '';
+                const overtimeNote = s.overtimeHours > 0
+                    ? `<div class="shift-hours-info overtime-note" title="Past the weekly overtime threshold">⏱️ ${Scheduler.formatHours(s.overtimeHours)}h overtime</div>`
+                    : '';
+                const holidayNote = s.holiday
+                    ? `<div class="shift-hours-info holiday-note" title="Paid at ${currentSchedule.constraints?.holidayPremium ?? 1.5}× for ${escapeHtml(s.holiday)}">🎉 holiday pay</div>`
+                    : '';
+                const crossNote = s.crossRole
+                    ? `<div class="shift-hours-info cross-role-note" title="${emp.role} covering a ${s.shiftRole} shift">🔀 covering ${s.shiftRole}</div>`
+                    : '';
                 html += `<div class="grid-cell">
                     <div class="shift-badge-wrapper">
-                        <span class="shift-badge" style="background: ${roleColor}; color: white; border: 1px solid ${roleColor};">${s.shift}</span>
+                        <span class="shift-badge ${s.crossRole ? 'cross-role' : ''}" style="background: ${roleColor}; color: white; border: 1px solid ${roleColor};" title="${s.shiftName}${slotNote}">${s.shift}</span>
+                        <div class="shift-hours-info">${s.shiftName}${slotNote}${overnightNote}</div>
+                        ${crossNote}
+                        ${overtimeNote}
+                        ${holidayNote}
                         ${breakNote}
                     </div>
                 </div>`;
@@ -1010,33 +2572,96 @@ function renderScheduleGrid() {
         // Employee total column
         weekGrossTotal += empGross;
         weekPaidTotal += empPaid;
+        weekCostTotal += empCost;
         html += `<div class="grid-cell totals-cell">
             <div class="total-hours">
-                <span class="gross-hours">${empGross}h</span>
-                ${empGross !== empPaid ? `<span class="paid-hours">${empPaid}h paid</span>` : ''}
+                <span class="gross-hours">${Scheduler.formatHours(empGross)}h</span>
+                ${empGross !== empPaid ? `<span class="paid-hours">${Scheduler.formatHours(empPaid)}h paid</span>` : ''}
+                ${empCost ? `<span class="cost-total">${Scheduler.formatCost(empCost)}</span>` : ''}
+                ${empOvertime ? `<span class="overtime-hours">⏱️ ${Scheduler.formatHours(empOvertime)}h OT</span>` : ''}
             </div>
         </div>`;
     });
 
+    // Open shifts row (best-effort schedules)
+    const openShifts = currentSchedule.openShifts || [];
+    if (openShifts.length > 0) {
+        html += `<div class="grid-cell employee-cell open-row-label">⚠️ Open Shifts</div>`;
+        days.forEach(day => {
+            const dayOpen = openShifts.filter(s => s.day === day);
+            if (dayOpen.length === 0) {
+                html += `<div class="grid-cell"><span class="shift-empty">—</span></div>`;
+                return;
+            }
+            html += `<div class="grid-cell">
+                <div class="shift-badge-wrapper">
+                    ${dayOpen.map(s => `
+                        <span class="shift-badge open-badge ${s.reason === 'BUDGET' ? 'budget-cut' : ''}" title="${s.shiftName} (${s.role})${s.reason === 'BUDGET' ? ' - left open to stay within budget' : ''}">${s.reason === 'BUDGET' ? 'CUT' : 'OPEN'} ${s.shift}</span>
+                        <div class="shift-hours-info">${s.shiftName}</div>
+                    `).join('')}
+                </div>
+            </div>`;
+        });
+        const openHours = openShifts.reduce((sum, s) => sum + s.hours, 0);
+        html += `<div class="grid-cell totals-cell">
+            <div class="total-hours">
+                <span class="gross-hours">${Scheduler.formatHours(openHours)}h</span>
+                <span class="open-hours">${openShifts.length} open</span>
+            </div>
+        </div>`;
+    }
+
+    // Manager-on-duty gaps row
+    const coverageGaps = currentSchedule.coverageGaps || [];
+    if (coverageGaps.length > 0) {
+        html += `<div class="grid-cell employee-cell open-row-label">🧑‍💼 No Manager</div>`;
+        days.forEach(day => {
+            const dayGaps = coverageGaps.filter(g => g.day === day);
+            if (dayGaps.length === 0) {
+                html += `<div class="grid-cell"><span class="shift-empty">—</span></div>`;
+                return;
+            }
+            html += `<div class="grid-cell">
+                <div class="shift-badge-wrapper">
+                    ${dayGaps.map(g => `<span class="shift-badge open-badge coverage-gap" title="${Rules.get('managerOnDuty').explain({ gap: g })}">${Scheduler.formatTime(g.start)}-${Scheduler.formatTime(g.end)}</span>`).join('')}
+                </div>
+            </div>`;
+        });
+        html += `<div class="grid-cell totals-cell">
+            <div class="total-hours">
+                <span class="open-hours">${Scheduler.formatHours(currentSchedule.stats.coverageGapHours)}h uncovered</span>
+            </div>
+        </div>`;
+    }
+
     // Footer row (daily totals)
     html += '<div class="grid-cell totals-cell" style="justify-content: flex-start; font-weight: 700;">Daily Total</div>';
-    CONFIG.days.forEach(day => {
+    days.forEach(day => {
         const gross = dailyTotals[day];
         const paid = dailyPaidTotals[day];
+        const cost = dailyCostTotals[day];
+        const premium = dailyPremiumTotals[day];
         html += `<div class="grid-cell totals-cell">
             <div class="total-hours">
-                <span class="gross-hours">${gross}h</span>
-                ${gross !== paid ? `<span class="paid-hours">${paid}h paid</span>` : ''}
+                <span class="gross-hours">${Scheduler.formatHours(gross)}h</span>
+                ${gross !== paid ? `<span class="paid-hours">${Scheduler.formatHours(paid)}h paid</span>` : ''}
+                ${premium ? `<span class="holiday-premium" title="Extra hours paid for the holiday premium">🎉 +${Scheduler.formatHours(premium)}h premium</span>` : ''}
+                ${cost ? `<span class="cost-total">${Scheduler.formatCost(cost)}</span>` : ''}
             </div>
         </div>`;
     });
 
-    // Corner cell - budget comparison
-    const budgetDiff = weekPaidTotal - storeWeeklyBudget;
-    const budgetClass = budgetDiff > 0 ? 'over-budget' : (budgetDiff < -20 ? 'under-budget' : '');
+    // Corner cell - budget comparison against the hours and/or dollar budget
+    const useHours = budgetBasis !== 'cost';
+    const useCost = budgetBasis !== 'hours';
+    const overBudget = (useHours && weekPaidTotal > storeWeeklyBudget) || (useCost && weekCostTotal > weeklyCostBudget);
+    const underBudget = (!useHours || weekPaidTotal < storeWeeklyBudget - 20) &&
+        (!useCost || weekCostTotal < weeklyCostBudget * 0.93);
+    const budgetClass = overBudget ? 'over-budget' : (underBudget ? 'under-budget' : '');
     html += `<div class="grid-cell totals-cell budget-cell ${budgetClass}">
         <span class="budget-label">vs Budget</span>
-        <span class="budget-value">${weekPaidTotal}/${storeWeeklyBudget}h</span>
+        <span class="budget-value">${Scheduler.formatHours(weekPaidTotal)}${useHours ? `/${storeWeeklyBudget}` : ''}h</span>
+        ${weekCostTotal || useCost ? `<span class="budget-value">${Scheduler.formatCost(weekCostTotal)}${useCost ? `/${Scheduler.formatCost(weeklyCostBudget)}` : ''}</span>` : ''}
     </div>`;
 
     container.innerHTML = html;
@@ -1048,28 +2673,64 @@ function renderScheduleList() {
     const schedule = currentSchedule.schedule;
     const roles = Storage.getRoles();
 
+    const openShifts = currentSchedule.openShifts || [];
+    const week = getScheduleDays();
+    const days = week.map(d => d.day);
+    const dates = Object.fromEntries(week.map(d => [d.day, d.date]));
+    const holidays = Object.fromEntries((currentSchedule.constraints?.holidays || []).map(h => [h.date, h]));
+
     const byDay = {};
-    CONFIG.days.forEach(d => byDay[d] = []);
+    days.forEach(d => byDay[d] = []);
     schedule.forEach(s => byDay[s.day].push(s));
+    openShifts.forEach(s => byDay[s.day].push(s));
     Object.values(byDay).forEach(arr => arr.sort((a, b) => a.start - b.start));
 
     let html = '';
-    CONFIG.days.forEach(day => {
+    days.forEach(day => {
         const shifts = byDay[day];
+        const openCount = shifts.filter(s => s.open).length;
+        const holiday = holidays[dates[day]];
+        const holidayNote = holiday ? ` · 🎉 ${escapeHtml(holiday.name)}${holiday.behaviour === 'closed' ? ' (closed)' : ''}` : '';
+
+        // Group slots of the same template together
+        const byTemplate = new Map();
+        shifts.forEach(s => {
+            const key = s.templateId ?? s.shiftName;
+            if (!byTemplate.has(key)) byTemplate.set(key, []);
+            byTemplate.get(key).push(s);
+        });
+
         html += `
             <div class="day-section">
-                <div class="day-header"><span>${day}</span><span>${shifts.length} shifts</span></div>
+                <div class="day-header"><span>${dates[day] ? formatDateLabel(dates[day]) : day}${holidayNote}</span><span>${shifts.length - openCount} shifts${openCount ? ` · ${openCount} open` : ''}</span></div>
                 <div class="day-shifts">
-                    ${shifts.map(s => {
-            const role = roles.find(r => r.name === s.role);
+                    ${Array.from(byTemplate.values()).map(group => {
+            const first = group[0];
+            const shiftRole = first.shiftRole || first.role;
+            const role = roles.find(r => r.name === shiftRole);
             const roleColor = role?.color || '#666';
+            const filled = group.filter(s => !s.open);
+            const staffed = first.headcount ? `${filled.length}/${first.headcount}` : filled.length;
+            const names = group.map(s => {
+                if (!s.open) {
+                    return s.crossRole
+                        ? `${s.employee} <span class="cross-role-tag" title="${s.role} covering a ${s.shiftRole} shift">🔀 ${s.role}</span>`
+                        : s.employee;
+                }
+                return s.reason === 'BUDGET'
+                    ? '<span class="open-badge-text budget-cut">CUT (budget)</span>'
+                    : '<span class="open-badge-text">OPEN</span>';
+            });
             return `
                             <div class="shift-item">
                                 <div class="shift-info">
-                                    <span class="shift-time">${s.shift}</span>
-                                    <span>${s.employee}</span>
+                                    <span class="shift-time">${first.shift}${first.overnight ? ' 🌙' : ''}</span>
+                                    <div class="shift-group">
+                                        <span class="shift-group-name">${first.shiftName || ''} <span class="shift-group-count">👥 ${staffed}</span></span>
+                                        <span>${names.join(', ')}</span>
+                                    </div>
                                 </div>
-                                <span class="role-badge" style="background: ${roleColor}; color: white;">${s.role}</span>
+                                <span class="role-badge" style="background: ${roleColor}; color: white;">${shiftRole}</span>
                             </div>
                         `;
         }).join('')}
@@ -1085,6 +2746,7 @@ function renderHoursSummary() {
     const container = document.getElementById('hours-summary');
     const employees = currentSchedule.employees;
     const roles = Storage.getRoles();
+    const violations = getDaysOffViolations();
 
     const sorted = [...employees].sort((a, b) => {
         const roleOrder = roles.map(r => r.name);
@@ -1093,7 +2755,11 @@ function renderHoursSummary() {
 
     container.innerHTML = sorted.map(emp => {
         const pct = Math.min(100, (emp.scheduledHours / emp.maxHours) * 100);
-        const diff = emp.scheduledHours - emp.targetHours;
+        // Schedules saved before minimum hours were added have no minHours
+        const minHours = emp.minHours || 0;
+        const minPct = Math.min(100, (minHours / emp.maxHours) * 100);
+        const belowMin = emp.scheduledHours < minHours;
+        const diff = Scheduler.formatHours(emp.scheduledHours - emp.targetHours);
         let diffClass = 'neutral', diffText = '±0';
         if (diff > 0) { diffClass = 'positive'; diffText = `+${diff}`; }
         else if (diff < 0) { diffClass = 'negative'; diffText = `${diff}`; }
@@ -1101,20 +2767,176 @@ function renderHoursSummary() {
         const role = roles.find(r => r.name === emp.role);
         const roleColor = role?.color || '#666';
 
+        // Only employees with preferences who were scheduled get a satisfaction line
+        const prefs = emp.preferences;
+        const prefLine = prefs && prefs.satisfaction !== null ? `
+            <div class="preference-info" title="${prefs.preferred} preferred, ${prefs.avoided} avoided">
+                💬 ${prefs.satisfaction}% preference match
+                ${prefs.avoided ? `<span class="hours-diff negative">${prefs.avoided} avoided</span>` : ''}
+            </div>
+        ` : '';
+
         return `
             <div class="employee-card">
                 <div class="employee-header">
                     <span class="employee-name">${emp.name}</span>
                     <span class="role-badge" style="background: ${roleColor}; color: white;">${emp.role}</span>
                 </div>
-                <div class="hours-bar"><div class="hours-fill" style="width:${pct}%"></div></div>
+                <div class="hours-bar ${belowMin ? 'below-min' : ''}">
+                    <div class="hours-fill" style="width:${pct}%"></div>
+                    ${minHours ? `<div class="hours-min-marker" style="left:${minPct}%" title="Guaranteed minimum ${minHours}h"></div>` : ''}
+                </div>
                 <div class="hours-info">
-                    <span><span class="hours-scheduled">${emp.scheduledHours}h</span> / ${emp.maxHours}h max</span>
+                    <span><span class="hours-scheduled">${Scheduler.formatHours(emp.scheduledHours)}h</span>${minHours ? ` (min ${minHours}h)` : ''} / ${emp.maxHours}h max</span>
                     <span class="hours-diff ${diffClass}">${diffText} vs target</span>
                 </div>
+                ${emp.scheduledCost ? `<div class="preference-info">💵 ${Scheduler.formatCost(emp.scheduledCost)} at ${Scheduler.formatCost(emp.hourlyWage)}/h</div>` : ''}
+                ${emp.overtimeHours ? `<div class="pattern-violation overtime-info">⏱️ ${Scheduler.formatHours(emp.overtimeHours)}h overtime</div>` : ''}
+                ${prefLine}
+                ${violations.filter(v => v.employeeId === emp.id).map(v => `<div class="pattern-violation">🛌 ${v.message}</div>`).join('')}
+            </div>
+        `;
+    }).join('');
+}
+
+function renderScoreSummary() {
+    const container = document.getElementById('score-summary');
+    const stats = currentSchedule.stats;
+
+    // Schedules saved before scoring was added have no score
+    if (stats.score === undefined) {
+        container.classList.add('hidden');
+        return;
+    }
+
+    const labels = {
+        openShifts: 'open shifts',
+        targetHours: 'off target hours',
+        weekendFairness: 'weekend fairness',
+        closingFairness: 'closing fairness',
+        budget: 'over budget',
+        costBudget: 'over wage budget',
+        overtime: 'overtime',
+        crossRole: 'cross-role cover',
+        managerCoverage: 'no manager on duty',
+        preferences: 'preferences',
+        minHours: 'below min hours'
+    };
+    // Preferences count negative when employees mostly got shifts they like
+    const parts = Object.entries(stats.scoreBreakdown)
+        .filter(([, value]) => value !== 0)
+        .map(([key, value]) => `${labels[key] || key} ${Scheduler.formatHours(value)}`);
+    const opt = stats.optimization;
+    const improved = opt && opt.initialScore > stats.score
+        ? ` — improved from ${Scheduler.formatHours(opt.initialScore)} in ${opt.timeMs}ms`
+        : '';
+
+    container.innerHTML = `🎯 Score <strong>${Scheduler.formatHours(stats.score)}</strong> (lower is better)${improved}
+        ${parts.length ? `<div class="score-breakdown">${parts.join(' · ')}</div>` : ''}`;
+    container.classList.remove('hidden');
+}
+
+function renderDiagnosis(diagnosis) {
+    const section = document.getElementById('diagnosis-section');
+    const container = document.getElementById('diagnosis-panel');
+
+    const coverageGaps = diagnosis?.coverageGaps || [];
+    const shortfalls = diagnosis?.hoursShortfalls || [];
+    if (!diagnosis || (diagnosis.openShifts === 0 && coverageGaps.length === 0 && shortfalls.length === 0)) {
+        section.classList.add('hidden');
+        container.innerHTML = '';
+        return;
+    }
+
+    section.classList.remove('hidden');
+
+    const suggestionHtml = diagnosis.suggestions.map(sg => {
+        if (sg.type === 'staffing') {
+            return `<li class="diagnosis-suggestion">👥 ${sg.label} <span class="hint">(${sg.openShifts} open ${sg.role} shift(s))</span></li>`;
+        }
+        if (sg.type === 'coverage') {
+            return `<li class="diagnosis-suggestion">🧑‍💼 ${sg.label} <span class="hint">(${sg.gaps} gap(s))</span></li>`;
+        }
+        if (sg.type === 'minHours') {
+            return `<li class="diagnosis-suggestion">⬇️ ${sg.label} <span class="hint">(${sg.employees} employee(s))</span></li>`;
+        }
+        const outcome = sg.solves
+            ? '<span class="diagnosis-solves">fills every shift</span>'
+            : `fills ${sg.filled} more shift(s), ${sg.openShifts} still open`;
+        return `<li class="diagnosis-suggestion">🔧 ${sg.label}: ${sg.from} → <strong>${sg.to}</strong> — ${outcome}</li>`;
+    }).join('');
+
+    const problemHtml = diagnosis.problems.map(p => {
+        // Group candidates by the constraint that eliminated them
+        const byReason = {};
+        p.candidates.forEach(c => {
+            if (!byReason[c.reason]) byReason[c.reason] = [];
+            byReason[c.reason].push(c);
+        });
+
+        const reasons = Object.entries(byReason).map(([reason, list]) => `
+            <div class="diagnosis-reason reason-${reason.toLowerCase()}">
+                <span class="diagnosis-reason-label">${Rules.labelFor(reason)}</span>
+                <span class="diagnosis-reason-names">${reason === 'ROLE_MISMATCH'
+                ? `${list.length} employee(s)`
+                : list.map(c => `<span title="${c.detail}">${c.name}</span>`).join(', ')}</span>
+            </div>
+        `).join('');
+
+        return `
+            <div class="diagnosis-item">
+                <div class="diagnosis-item-header">
+                    <span><strong>${p.day}</strong> ${p.shiftName} · ${p.shift}</span>
+                    <span class="hint">${p.noCandidates ? 'No eligible employees' : p.role}</span>
+                </div>
+                ${reasons}
             </div>
         `;
     }).join('');
+
+    const coverageHtml = coverageGaps.map(g => `
+        <div class="diagnosis-item">
+            <div class="diagnosis-item-header">
+                <span><strong>${g.day}</strong> ${Scheduler.formatTime(g.start)}-${Scheduler.formatTime(g.end)}</span>
+                <span class="hint">No manager on duty</span>
+            </div>
+            <div class="diagnosis-reason">
+                <span class="diagnosis-reason-label">Managers</span>
+                <span class="diagnosis-reason-names">${g.managers.map(m => `<span title="${m.detail}">${m.name}</span>`).join(', ') || 'No employee can manage'}</span>
+            </div>
+        </div>
+    `).join('');
+
+    const shortfallHtml = shortfalls.map(s => `
+        <div class="diagnosis-item">
+            <div class="diagnosis-item-header">
+                <span><strong>${s.name}</strong> ${Scheduler.formatHours(s.hours)}h of ${s.minHours}h minimum</span>
+                <span class="hint">${s.possibleHours < s.minHours
+                    ? `At most ${Scheduler.formatHours(s.possibleHours)}h of shifts fit`
+                    : `Up to ${Scheduler.formatHours(s.possibleHours)}h possible`}</span>
+            </div>
+            ${s.reasons.map(r => `
+                <div class="diagnosis-reason reason-${r.code.toLowerCase()}">
+                    <span class="diagnosis-reason-label">${r.label}</span>
+                    <span class="diagnosis-reason-names">${r.count} shift(s)</span>
+                </div>
+            `).join('')}
+        </div>
+    `).join('');
+
+    const summary = [
+        diagnosis.openShifts > 0 ? `${diagnosis.openShifts} of ${diagnosis.totalShifts} shifts could not be filled.` : '',
+        coverageGaps.length > 0 ? `${coverageGaps.length} stretch(es) of opening hours have no manager on duty.` : '',
+        shortfalls.length > 0 ? `${shortfalls.length} employee(s) are below their minimum hours.` : ''
+    ].filter(Boolean).join(' ');
+
+    container.innerHTML = `
+        <p class="hint">${summary} Hover a name to see why.</p>
+        ${suggestionHtml ? `<h3 class="settings-title">💡 Smallest fixes</h3><ul class="diagnosis-suggestions">${suggestionHtml}</ul>` : ''}
+        ${problemHtml ? `<h3 class="settings-title">🔍 Open shifts</h3><div class="diagnosis-list">${problemHtml}</div>` : ''}
+        ${coverageHtml ? `<h3 class="settings-title">🧑‍💼 Manager coverage gaps</h3><div class="diagnosis-list">${coverageHtml}</div>` : ''}
+        ${shortfallHtml ? `<h3 class="settings-title">⬇️ Below minimum hours</h3><div class="diagnosis-list">${shortfallHtml}</div>` : ''}
+    `;
 }
 
 // =============================================================================
@@ -1126,11 +2948,11 @@ function updateStats() {
     const shifts = Storage.getShifts();
 
     document.getElementById('stat-employees').textContent = employees.length;
-    document.getElementById('stat-shifts').textContent = shifts.length * 7;
+    document.getElementById('stat-shifts').textContent = Scheduler.generateWeeklyShifts(shifts).length;
 
     if (currentSchedule) {
-        document.getElementById('stat-hours').textContent = currentSchedule.stats.totalHours;
-        document.getElementById('stat-status').textContent = '✅';
+        document.getElementById('stat-hours').textContent = Scheduler.formatHours(currentSchedule.stats.totalHours);
+        document.getElementById('stat-status').textContent = currentSchedule.partial ? '⚠️' : '✅';
     } else {
         document.getElementById('stat-hours').textContent = '--';
         document.getElementById('stat-status').textContent = '⏳';
@@ -1167,8 +2989,12 @@ function initImportExport() {
             try {
                 const data = JSON.parse(event.target.result);
                 Storage.importAll(data);
+                const openSchedule = Storage.getOpenSchedule();
+                if (openSchedule) showArchivedSchedule(openSchedule);
+                renderHistoryList();
                 renderEmployeeList();
                 renderShiftList();
+                renderHolidayList();
                 renderRoleList();
                 loadSettings();
                 updateStats();
@@ -1192,7 +3018,7 @@ function showToast(message, type = 'info') {
     const toast = document.createElement('div');
     toast.className = `toast ${type}`;
 
-    const icon = type === 'success' ? '✅' : type === 'error' ? '❌' : 'ℹ️';
+    const icon = type === 'success' ? '✅' : type === 'error' ? '❌' : type === 'warning' ? '⚠️' : 'ℹ️';
     toast.innerHTML = `<span class="toast-icon">${icon}</span><span class="toast-message">${message}</span>`;
     container.appendChild(toast);
 
@@ -0,0 +1,281 @@
+/**
+ * Compliance Rule Engine for Dollarama Shift Scheduler v5.1
+ * Registry of named scheduling rules shared by the solver, diagnosis, UI hints and form validation
+ *
+ * Each rule has:
+ *   id          - key used in settings.rules to enable/disable it
+ *   code        - reason code reported when the rule blocks an assignment
+ *   stage       - 'feasibility' (schedule-independent), 'assignment' (depends on other assignments)
+ *                 or 'coverage' (checked once over the whole schedule)
+ *   required    - core rules the solver relies on and that can't be disabled
+ *   check(ctx)  - returns true if the assignment is allowed
+ *   explain(ctx) - human-readable reason when check fails
+ *   validateEmployee(emp, settings) - optional; returns { maxHours, message } limits for the employee form
+ *
+ * ctx = { emp, shift, hours, employeeDays, employeeShiftsByDay, shiftMap, constraints }
+ */
+
+const Rules = {
+    list: [
+        {
+            id: 'roleMatch',
+            code: 'ROLE_MISMATCH',
+            label: 'Role mismatch',
+            description: 'Employees only work shifts for their own role, roles they\'re qualified for, or (if enabled) lower roles',
+            stage: 'feasibility',
+            required: true,
+            check: ({ emp, shift, constraints }) => Scheduler.roleMatch(emp, shift, constraints) !== null,
+            explain: ({ emp, shift }) => `${emp.role} isn't qualified to cover a ${shift.role} shift`
+        },
+        {
+            id: 'availability',
+            code: 'UNAVAILABLE',
+            label: 'Outside availability window',
+            description: 'Shifts must fit inside the employee\'s weekly availability',
+            stage: 'feasibility',
+            required: true,
+            check: ({ emp, shift }) => Scheduler.isAvailableFor(emp, shift),
+            explain: ({ shift }) =>
+                `Not available ${shift.day} ${Scheduler.formatTime(shift.start)}-${Scheduler.formatTime(shift.end)}`
+        },
+        {
+            id: 'timeOff',
+            code: 'TIME_OFF',
+            label: 'Approved time off',
+            description: 'Approved time-off requests block shifts in the week being scheduled',
+            stage: 'feasibility',
+            required: true,
+            check: ({ emp, shift, constraints }) => !Scheduler.findTimeOffConflict(emp, shift, constraints.timeOff),
+            explain: ({ emp, shift, constraints }) => {
+                const block = Scheduler.findTimeOffConflict(emp, shift, constraints.timeOff);
+                const day = (constraints.weekDays || Scheduler.DAYS)[block.dayIndex % 7];
+                return block.start === 0 && block.end === 24
+                    ? `On approved time off ${day}`
+                    : `On approved time off ${day} ${Scheduler.formatTime(block.start)}-${Scheduler.formatTime(block.end)}`;
+            }
+        },
+        {
+            id: 'oneShiftPerDay',
+            code: 'ONE_SHIFT_PER_DAY',
+            label: 'Already working that day',
+            description: 'At most one shift per employee per day',
+            stage: 'assignment',
+            required: true,
+            check: ({ emp, shift, employeeDays }) => !employeeDays[emp.id].has(shift.dayIndex),
+            explain: ({ emp, shift, employeeShiftsByDay, shiftMap }) => {
+                const other = shiftMap[employeeShiftsByDay[emp.id][shift.dayIndex]];
+                return `Already working ${other ? other.name : 'another shift'} on ${shift.day}`;
+            }
+        },
+        {
+            id: 'maxHours',
+            code: 'MAX_HOURS',
+            label: 'Max weekly hours',
+            description: 'Employees are never scheduled past their own max hours',
+            stage: 'assignment',
+            check: ({ emp, shift, hours }) => hours + shift.hours <= emp.maxHours,
+            explain: ({ emp, shift, hours }) =>
+                `${Scheduler.formatHours(hours)}h + ${Scheduler.formatHours(shift.hours)}h would exceed max ${emp.maxHours}h`
+        },
+        {
+            id: 'internationalStudentCap',
+            code: 'INTL_STUDENT_CAP',
+            label: 'International student cap',
+            description: 'International students are capped during school terms, with a higher cap on scheduled breaks',
+            stage: 'assignment',
+            check: ({ emp, shift, hours, constraints }) => {
+                const cap = Rules.studentHoursCap(emp, constraints);
+                return cap === null || hours + shift.hours <= cap;
+            },
+            explain: ({ emp, shift, hours, constraints }) =>
+                `${Scheduler.formatHours(hours)}h + ${Scheduler.formatHours(shift.hours)}h would exceed ${Rules.studentHoursCap(emp, constraints)}h student cap`,
+            validateEmployee: (emp, settings) => {
+                const cap = Rules.studentHoursCap(emp, settings);
+                if (cap === null) return null;
+                return {
+                    maxHours: cap,
+                    message: emp.onScheduledBreak
+                        ? `On break: can work up to ${cap}hrs/week`
+                        : `Maximum ${cap}hrs/week during school term`
+                };
+            }
+        },
+        {
+            id: 'overtime',
+            code: 'OVERTIME',
+            label: 'No overtime',
+            description: 'When overtime is set to "forbid", nobody is scheduled past the weekly overtime threshold',
+            stage: 'assignment',
+            check: ({ emp, shift, employeeShiftsByDay, shiftMap, constraints }) =>
+                constraints.overtimeMode !== 'forbid' ||
+                Scheduler.weeklyPaidHours(emp.id, employeeShiftsByDay, shiftMap) + (shift.paidHours ?? shift.hours) <= constraints.overtimeThresholdHours,
+            explain: ({ emp, shift, employeeShiftsByDay, shiftMap, constraints }) =>
+                `${Scheduler.formatHours(Scheduler.weeklyPaidHours(emp.id, employeeShiftsByDay, shiftMap))}h + ${Scheduler.formatHours(shift.paidHours ?? shift.hours)}h paid would go past the ${constraints.overtimeThresholdHours}h overtime threshold`
+        },
+        {
+            id: 'minRest',
+            code: 'MIN_REST',
+            label: 'Min rest between shifts',
+            description: 'Minimum hours off between the end of one shift and the start of the next, including across weeks',
+            stage: 'assignment',
+            check: ({ emp, shift, employeeShiftsByDay, shiftMap, constraints }) =>
+                Scheduler.checkMinRestHours(emp.id, shift, employeeShiftsByDay, shiftMap, constraints.minRestHours, constraints.carryOver?.[emp.id]),
+            explain: ({ constraints }) => `Less than ${constraints.minRestHours}h rest from an adjacent shift`
+        },
+        {
+            id: 'maxConsecutiveDays',
+            code: 'MAX_CONSECUTIVE_DAYS',
+            label: 'Max consecutive days',
+            description: 'Cap on days worked in a row, counting days at the end of the previous week',
+            stage: 'assignment',
+            check: ({ emp, shift, employeeShiftsByDay, shiftMap, constraints }) =>
+                Scheduler.checkMaxConsecutiveDays(emp.id, shift, employeeShiftsByDay, shiftMap, constraints.maxConsecutiveDays, constraints.carryOver?.[emp.id]),
+            explain: ({ constraints }) => `Would work more than ${constraints.maxConsecutiveDays} days in a row`
+        },
+        {
+            id: 'minDaysOff',
+            code: 'MIN_DAYS_OFF',
+            label: 'Consecutive days off',
+            description: 'Each employee keeps a minimum run of consecutive days off in the week',
+            stage: 'assignment',
+            check: ({ emp, shift, employeeShiftsByDay, shiftMap, constraints }) =>
+                Scheduler.checkMinConsecutiveDaysOff(emp.id, shift, employeeShiftsByDay, shiftMap, constraints.minConsecutiveDaysOff),
+            explain: ({ constraints }) => `Would leave fewer than ${constraints.minConsecutiveDaysOff} days off in a row`
+        },
+        {
+            id: 'weekendRotation',
+            code: 'WEEKEND_ROTATION',
+            label: 'Weekend rotation',
+            description: 'Caps the weekends worked over a rolling number of weeks, counting earlier saved schedules',
+            stage: 'feasibility',
+            check: ({ emp, shift, constraints }) => !Scheduler.isWeekend(shift.day) || !Scheduler.weekendBlocked(emp, constraints),
+            explain: ({ emp, constraints }) =>
+                `Already worked ${constraints.recentWeekends[emp.id]} of ${constraints.maxWeekendsWorked} weekend(s) allowed in ${constraints.weekendRotationWeeks} weeks`
+        },
+        {
+            id: 'pairApart',
+            code: 'PAIRED_APART',
+            label: 'Never-together pairing',
+            description: 'Employees paired as never-together are not scheduled on overlapping shifts (or closing shifts, if the pairing says so)',
+            stage: 'assignment',
+            check: ({ emp, shift, employeeShiftsByDay, shiftMap, constraints }) =>
+                !Scheduler.findPairingConflict(emp, shift, employeeShiftsByDay, shiftMap, constraints, 'mustNotOverlap'),
+            explain: ({ emp, shift, employeeShiftsByDay, shiftMap, constraints }) => {
+                const p = Scheduler.findPairingConflict(emp, shift, employeeShiftsByDay, shiftMap, constraints, 'mustNotOverlap');
+                const other = p.employeeId === emp.id ? p.partnerName : p.employeeName;
+                return `Can't ${p.closingOnly ? 'close' : 'work'} together with ${other}`;
+            }
+        },
+        {
+            // Whole-week pairing: complete schedules are re-checked with Scheduler.findUnpairedShifts
+            id: 'pairTogether',
+            code: 'NEEDS_PARTNER',
+            label: 'Must-overlap pairing',
+            description: 'Employees paired with a partner (e.g. a trainee and their trainer) only work shifts that overlap one of the partner\'s',
+            stage: 'assignment',
+            check: ({ emp, shift, employeeShiftsByDay, shiftMap, constraints }) =>
+                !Scheduler.findPairingConflict(emp, shift, employeeShiftsByDay, shiftMap, constraints, 'mustOverlap'),
+            explain: ({ emp, shift, employeeShiftsByDay, shiftMap, constraints }) => {
+                const p = Scheduler.findPairingConflict(emp, shift, employeeShiftsByDay, shiftMap, constraints, 'mustOverlap');
+                return p.employeeId === emp.id
+                    ? `${p.partnerName} isn't on an overlapping shift`
+                    : `${p.employeeName} would be left without ${emp.name} on shift`;
+            }
+        },
+        {
+            // Whole-schedule rule: shortfalls are found by Scheduler.findHoursShortfalls
+            id: 'minHours',
+            code: 'BELOW_MIN_HOURS',
+            label: 'Guaranteed minimum hours',
+            description: 'Employees get at least their minimum weekly hours (their own, or their role\'s default)',
+            stage: 'coverage',
+            explain: ({ shortfall }) =>
+                `${shortfall.name} has ${Scheduler.formatHours(shortfall.hours)}h of a guaranteed ${shortfall.minHours}h`
+        },
+        {
+            // Whole-schedule rule: gaps are found by Scheduler.findCoverageGaps rather than a per-assignment check
+            id: 'managerOnDuty',
+            code: 'NO_MANAGER',
+            label: 'Manager on duty',
+            description: 'Every opening hour needs at least one employee with a managing role on shift',
+            stage: 'coverage',
+            explain: ({ gap }) =>
+                `No manager on duty ${gap.day} ${Scheduler.formatTime(gap.start)}-${Scheduler.formatTime(gap.end)}`
+        }
+    ],
+
+    // Labels for reason codes that don't come from a rule
+    EXTRA_LABELS: {
+        ASSIGNABLE: 'Could cover this shift',
+        TAKEN: 'Given to someone else'
+    },
+
+    get(id) {
+        return this.list.find(r => r.id === id);
+    },
+
+    /**
+     * Check if a rule is switched on (rules are enabled unless settings.rules[id] === false)
+     */
+    isEnabled(rule, settings = {}) {
+        return rule.required || settings.rules?.[rule.id] !== false;
+    },
+
+    /**
+     * Enabled rules for a solver stage
+     */
+    active(stage, settings = {}) {
+        return this.list.filter(r => r.stage === stage && this.isEnabled(r, settings));
+    },
+
+    /**
+     * Run the enabled rules for a stage
+     * Returns null if every rule passes, otherwise the failing rule
+     */
+    firstViolation(stage, ctx) {
+        for (const rule of this.active(stage, ctx.constraints)) {
+            if (!rule.check(ctx)) return rule;
+        }
+        return null;
+    },
+
+    /**
+     * Explain a reason code for an employee and shift
+     */
+    explain(code, ctx) {
+        const rule = this.list.find(r => r.code === code);
+        return rule ? rule.explain(ctx) : 'Eligible - could be called in to cover';
+    },
+
+    labelFor(code) {
+        return this.list.find(r => r.code === code)?.label || this.EXTRA_LABELS[code] || code;
+    },
+
+    /**
+     * Weekly hours cap for an international student, or null for everyone else
+     */
+    studentHoursCap(emp, settings = {}) {
+        if (emp.employmentStatus !== 'InternationalStudent') return null;
+        return emp.onScheduledBreak
+            ? (settings.internationalStudentBreakMaxHours ?? 40)
+            : (settings.internationalStudentMaxHours ?? 24);
+    },
+
+    /**
+     * Employee form limits from enabled rules: the lowest max hours allowed and the hint messages
+     */
+    validateEmployee(emp, settings = {}) {
+        let maxHours = Infinity;
+        const messages = [];
+
+        for (const rule of this.list) {
+            if (!rule.validateEmployee || !this.isEnabled(rule, settings)) continue;
+            const limit = rule.validateEmployee(emp, settings);
+            if (!limit) continue;
+            maxHours = Math.min(maxHours, limit.maxHours);
+            messages.push(limit.message);
+        }
+
+        return { maxHours, messages };
+    }
+};
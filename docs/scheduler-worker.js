@@ -0,0 +1,51 @@
+/**
+ * Web Worker for Dollarama Shift Scheduler v5.1
+ * Runs the scheduler and diagnosis off the main thread so long searches don't freeze the page
+ *
+ * Messages in:  { type: 'run', employees, shifts, settings }
+ * Messages out: { type: 'progress', progress }
+ *               { type: 'result', result, diagnosis }
+ *               (multi-week runs return a horizon result and one diagnosis per week)
+ *               { type: 'error', message }
+ */
+
+importScripts('rules.js', 'scheduler.js');
+
+// Minimum gap between progress messages
+const PROGRESS_THROTTLE_MS = 100;
+
+self.onmessage = (event) => {
+    const { type, employees, shifts, settings } = event.data;
+    if (type !== 'run') return;
+
+    try {
+        const timeoutMs = (settings.solverTimeoutSeconds ?? 30) * 1000;
+        const deadline = performance.now() + timeoutMs;
+
+        let lastProgress = 0;
+        const onProgress = (progress) => {
+            const now = performance.now();
+            if (now - lastProgress < PROGRESS_THROTTLE_MS) return;
+            lastProgress = now;
+            self.postMessage({ type: 'progress', progress });
+        };
+
+        const horizon = Scheduler.horizonLength(settings) > 1;
+        const result = horizon
+            ? Scheduler.generateHorizon(employees, shifts, settings, { onProgress, deadline })
+            : Scheduler.generateSchedule(employees, shifts, settings, { onProgress, deadline });
+
+        // Explain open shifts or a failed run (not after a timeout: there's no time left to search)
+        let diagnosis = null;
+        if ((!result.success || result.partial) && !result.timedOut) {
+            self.postMessage({ type: 'progress', progress: { phase: 'diagnosing' } });
+            diagnosis = horizon
+                ? Scheduler.diagnoseHorizon(employees, shifts, settings, result, { deadline })
+                : Scheduler.diagnose(employees, shifts, settings, { deadline });
+        }
+
+        self.postMessage({ type: 'result', result, diagnosis });
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message });
+    }
+};
@@ -2,19 +2,59 @@
  * JavaScript Scheduling Engine for Dollarama Shift Scheduler v5.1
  * Implements constraint-based scheduling with optimization
  * Features: Min rest hours, max consecutive days, role matching, international student limits, breaks
+ * Constraint checks are delegated to the compliance rules in rules.js
+ *
+ * Times are hours from the start of the shift's day, with minutes as fractions (9.5 = 09:30,
+ * 21.25 = 21:15). A shift whose end time is at or
+ * before its start runs past midnight and is stored with end > 24 (e.g. 22-30 for 22:00-06:00).
  */
 
 const Scheduler = {
     DAYS: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'],
 
+    // Max search steps for best-effort (partial) scheduling before returning the best found
+    PARTIAL_SEARCH_LIMIT: 200000,
+
+    // Smaller step limit for the repeated trial solves run while diagnosing infeasibility
+    DIAGNOSIS_SEARCH_LIMIT: 20000,
+
+    // Shift template priorities; lower-priority slots are left open first to meet the hours budget
+    PRIORITY_RANK: { high: 0, normal: 1, low: 2 },
+
+    // Objective weights for the improvement phase (penalty per open shift, per hour off target,
+    // per squared weekend/closing shift above or below the mean, per paid hour or dollar over a soft budget,
+    // per shift covered outside the employee's primary role, per opening hour without a manager,
+    // per preference point against the employee's wishes (preferred shifts count negative),
+    // per hour below an employee's guaranteed minimum)
+    OBJECTIVE_WEIGHTS: {
+        openShifts: 100, targetHours: 1, weekendFairness: 2, closingFairness: 2, budget: 1, costBudget: 0.05,
+        overtime: 10, crossRole: 5, managerCoverage: 50, preferences: 3, minHours: 60
+    },
+
+    // Time-of-day bands employees can state preferences for, by shift start
+    TIME_BANDS: [
+        { id: 'morning', label: 'Mornings (start before 11:00)', matches: s => !s.overnight && s.start < 11 },
+        { id: 'afternoon', label: 'Afternoons (start 11:00-15:59)', matches: s => !s.overnight && s.start >= 11 && s.start < 16 },
+        { id: 'evening', label: 'Evenings (start 16:00 or later)', matches: s => !s.overnight && s.start >= 16 },
+        { id: 'overnight', label: 'Overnights', matches: s => !!s.overnight }
+    ],
+
+    // Starting temperature for simulated annealing; cools linearly to near zero at the time limit
+    ANNEALING_START_TEMPERATURE: 5,
+
+    // Search steps between progress reports and deadline checks
+    PROGRESS_INTERVAL: 1000,
+
     /**
      * Main scheduling function
      * @param {Array} employees - List of employees
      * @param {Array} shiftTemplates - List of shift templates
      * @param {Object} settings - Scheduling settings
+     * @param {Object} options - Optional run hooks: onProgress(progress) callback and a
+     *   deadline (performance.now() time) after which the best schedule found so far is returned
      * @returns {Object} Schedule result with assignments and stats
      */
-    generateSchedule(employees, shiftTemplates, settings = {}) {
+    generateSchedule(employees, shiftTemplates, settings = {}, options = {}) {
         const startTime = performance.now();
 
         // Get settings with defaults
@@ -25,21 +65,41 @@ const Scheduler = {
         const breakAfterHours = settings.breakAfterHours ?? 4;
         const breakDurationMinutes = settings.breakDurationMinutes ?? 30;
         const internationalStudentMaxHours = settings.internationalStudentMaxHours ?? 24;
+        const internationalStudentBreakMaxHours = settings.internationalStudentBreakMaxHours ?? 40;
+        const allowPartialSchedule = settings.allowPartialSchedule ?? false;
+        const budgetMode = settings.budgetMode ?? 'soft';
+        const budgetBasis = settings.budgetBasis ?? 'hours';
+        const limits = this.budgetLimits(settings);
+        const optimizeTimeMs = settings.optimizeTimeMs ?? 500;
 
         // Generate all shifts for the week (filter by min shift length)
-        const allShifts = this.generateWeeklyShifts(shiftTemplates);
+        const week = this.scheduleWeek(settings);
+        const allShifts = this.generateWeeklyShifts(shiftTemplates, week.days[0], week.start,
+            this.resolveHolidays(settings.holidays, week.start));
         const shifts = allShifts.filter(s => s.hours >= minShiftHours);
 
         if (shifts.length < allShifts.length) {
             console.warn(`Filtered out ${allShifts.length - shifts.length} shifts under ${minShiftHours} hour minimum`);
         }
 
+        // Paid hours per shift, used for the budget
+        shifts.forEach(s => { s.paidHours = this.paidHoursFor(s.hours, breakAfterHours, breakDurationMinutes); });
+        const demandedPaidHours = shifts.reduce((sum, s) => sum + s.paidHours, 0);
+
         // Build feasibility matrix
-        const { feasible, shiftCandidates, employeeShifts } = this.buildFeasibilityMatrix(employees, shifts);
+        const constraints = this.getConstraints(settings, employees);
+        const { feasible, shiftCandidates, employeeShifts } = this.buildFeasibilityMatrix(employees, shifts, constraints);
+        this.estimateShiftCosts(employees, shifts, shiftCandidates, constraints);
+        this.indexPairingPartners(shifts, employeeShifts, constraints);
+
+        // Hard budget: leave the lowest-priority slots open up front so demand fits the budget
+        const budgetCuts = budgetMode === 'hard' ? this.selectBudgetCuts(shifts, limits.hours, limits.cost) : [];
+        const cutIds = new Set(budgetCuts.map(s => s.id));
+        const plannedShifts = shifts.filter(s => !cutIds.has(s.id));
 
-        // Check for unfillable shifts
-        const unfillable = shifts.filter((_, idx) => shiftCandidates[shifts[idx].id]?.length === 0);
-        if (unfillable.length > 0) {
+        // Check for unfillable shifts (in best-effort mode these are simply left open)
+        const unfillable = plannedShifts.filter(s => shiftCandidates[s.id]?.length === 0);
+        if (unfillable.length > 0 && !allowPartialSchedule) {
             return {
                 success: false,
                 error: 'UNFILLABLE_SHIFTS',
@@ -48,13 +108,57 @@ const Scheduler = {
             };
         }
 
+        // Strict mode: opening hours no manager could ever cover make the week infeasible up front
+        const requireCoverage = this.coverageRequired(constraints);
+        if (requireCoverage && !allowPartialSchedule) {
+            const unavoidable = this.findCoverageGaps(employees, plannedShifts,
+                this.bestCaseManagerAssignments(employees, plannedShifts, shiftCandidates, constraints), constraints);
+            if (unavoidable.length > 0) {
+                return {
+                    success: false,
+                    error: 'MANAGER_COVERAGE',
+                    coverageGaps: unavoidable,
+                    message: `No shift could put a manager on duty for ${unavoidable.length} stretch(es) of opening hours`
+                };
+            }
+        }
+
+        // Strict mode: minimum hours no schedule could reach make the week infeasible up front
+        const requireMinHours = this.minHoursRequired(constraints);
+        if (requireMinHours && !allowPartialSchedule) {
+            const unreachable = employees
+                .map(emp => ({ emp, possibleHours: this.bestCaseHours(emp, plannedShifts, shiftCandidates, constraints) }))
+                .filter(({ emp, possibleHours }) => possibleHours < this.minHoursFor(emp, constraints));
+            if (unreachable.length > 0) {
+                return {
+                    success: false,
+                    error: 'MIN_HOURS',
+                    shortfalls: unreachable.map(({ emp, possibleHours }) => ({
+                        employeeId: emp.id,
+                        name: emp.name,
+                        minHours: this.minHoursFor(emp, constraints),
+                        possibleHours
+                    })),
+                    message: `Can't reach the minimum hours for ${unreachable.map(u => u.emp.name).join(', ')}`
+                };
+            }
+        }
+
         // Run the scheduling algorithm with all constraints
-        const assignments = this.solve(
-            employees, shifts, feasible, shiftCandidates, employeeShifts,
-            { minRestHours, maxConsecutiveDays, storeWeeklyHours, internationalStudentMaxHours }
-        );
+        // Whole-schedule checks a complete strict assignment must also pass
+        const run = this.createRun(options, plannedShifts.length);
+        const requirePairs = constraints.pairings.some(p => p.type === 'mustOverlap');
+        if (requireCoverage || requirePairs || requireMinHours) {
+            run.acceptComplete = complete =>
+                (!requireCoverage || this.findCoverageGaps(employees, plannedShifts, complete, constraints).length === 0) &&
+                (!requirePairs || this.findUnpairedShifts(plannedShifts, complete, constraints).length === 0) &&
+                (!requireMinHours || this.findHoursShortfalls(employees, plannedShifts, complete, constraints).length === 0);
+        }
+        const solved = allowPartialSchedule
+            ? this.solvePartial(employees, plannedShifts, feasible, shiftCandidates, employeeShifts, constraints, run)
+            : this.solve(employees, plannedShifts, feasible, shiftCandidates, employeeShifts, constraints, run);
 
-        if (!assignments) {
+        if (!solved) {
             return {
                 success: false,
                 error: 'NO_SOLUTION',
@@ -62,317 +166,2296 @@ const Scheduler = {
             };
         }
 
+        // Spend any budget freed by open shifts on the cut slots, highest priority first
+        if (budgetCuts.length > 0) {
+            this.refillWithinBudget(employees, shifts, budgetCuts, solved, shiftCandidates, constraints, limits.hours, limits.cost);
+        }
+
+        // Best-effort search only checks must-overlap pairings optimistically; reopen shifts left unpaired
+        this.dropUnpairedShifts(shifts, solved, constraints);
+
+        // Improve the solution against the objective; budget-cut slots still open stay out of the search
+        const searchShifts = shifts.filter(s => !cutIds.has(s.id) || solved[s.id] !== undefined);
+        const improvement = this.improveSchedule(employees, searchShifts, solved, shiftCandidates, constraints, {
+            timeLimitMs: optimizeTimeMs,
+            budgetMode,
+            budgetHours: limits.hours,
+            budgetCost: limits.cost,
+            weights: settings.objectiveWeights,
+            seed: settings.randomSeed,
+            constraints,
+            run
+        });
+        const assignments = improvement.assignments;
+
+        // Hard dollar budget: the up-front cuts were priced at the cheapest candidate's wage, so reopen
+        // shifts until the real cost (actual wages, holiday pay and overtime) fits; partners stranded
+        // by a reopened shift are left open too and make the result partial
+        if (budgetMode === 'hard') {
+            this.trimToCostBudget(employees, shifts, assignments, constraints, limits.cost)
+                .forEach(s => cutIds.add(s.id));
+        }
+
         // Build the result with break calculations
-        const schedule = this.buildScheduleResult(employees, shifts, assignments, { breakAfterHours, breakDurationMinutes });
+        const schedule = this.buildScheduleResult(employees, shifts, assignments, { breakAfterHours, breakDurationMinutes }, constraints);
+        const openShifts = this.buildOpenShifts(shifts, assignments, shiftCandidates, cutIds);
+        const coverageGaps = this.findCoverageGaps(employees, shifts, assignments, constraints);
+        const hoursShortfalls = this.findHoursShortfalls(employees, shifts, assignments, constraints);
         const elapsed = performance.now() - startTime;
 
         // Calculate total scheduled hours
         const totalHours = schedule.reduce((sum, s) => sum + s.hours, 0);
         const totalPaidHours = schedule.reduce((sum, s) => sum + s.paidHours, 0);
+        const totalCost = schedule.reduce((sum, s) => sum + s.cost, 0);
+
+        // Budget trade-off report (a limit left out by the budget basis is never exceeded)
+        const budgetOpen = openShifts.filter(s => s.reason === 'BUDGET');
+        const scheduledShifts = shifts.filter(s => assignments[s.id] !== undefined);
+        const empMap = Object.fromEntries(employees.map(e => [e.id, e]));
+        const actualCost = s => s.paidHours * this.payRate(s, constraints) * this.wageFor(empMap[assignments[s.id]], constraints);
+        const budget = {
+            mode: budgetMode,
+            basis: budgetBasis,
+            hours: budgetBasis === 'cost' ? null : limits.hours,
+            cost: budgetBasis === 'hours' ? null : limits.cost,
+            demandedPaidHours,
+            scheduledPaidHours: totalPaidHours,
+            scheduledCost: totalCost,
+            overBy: Math.max(0, totalPaidHours - limits.hours),
+            costOverBy: Math.max(0, totalCost - limits.cost),
+            cutShifts: budgetOpen.length,
+            cutPaidHours: budgetOpen.reduce((sum, s) => sum + s.paidHours, 0),
+            cutCost: budgetOpen.reduce((sum, s) => sum + s.estimatedCost, 0),
+            // Soft mode: which scheduled shifts would go first to get back within budget
+            suggestedCuts: budgetMode === 'soft'
+                ? this.selectBudgetCuts(scheduledShifts, limits.hours, limits.cost, actualCost).map(s => ({
+                    day: s.day,
+                    shiftName: s.name,
+                    shift: `${this.formatTime(s.start)}-${this.formatTime(s.end)}`,
+                    priority: s.priority,
+                    employee: empMap[assignments[s.id]]?.name,
+                    paidHours: s.paidHours,
+                    cost: actualCost(s)
+                }))
+                : []
+        };
 
         return {
             success: true,
+            partial: openShifts.some(s => s.reason !== 'BUDGET') || coverageGaps.length > 0 || hoursShortfalls.length > 0,
+            timedOut: run.timedOut,
             generated: new Date().toISOString(),
             solveTime: Math.round(elapsed),
             constraints: {
                 minRestHours,
                 maxConsecutiveDays,
+                minConsecutiveDaysOff: constraints.minConsecutiveDaysOff,
+                maxWeekendsWorked: constraints.maxWeekendsWorked,
+                weekendRotationWeeks: constraints.weekendRotationWeeks,
                 storeWeeklyHours,
                 minShiftHours,
                 breakAfterHours,
                 breakDurationMinutes,
-                internationalStudentMaxHours
+                internationalStudentMaxHours,
+                internationalStudentBreakMaxHours,
+                weekStart: constraints.weekStart,
+                weekStartsOn: constraints.weekDays[0],
+                holidays: Object.values(constraints.holidays).map(h => ({
+                    date: h.date, name: h.name, behaviour: h.behaviour, hours: h.hours || null
+                })),
+                holidayPremium: constraints.holidayPremium,
+                storeHours: constraints.storeHours,
+                allowPartialSchedule,
+                budgetMode,
+                budgetBasis,
+                weeklyCostBudget: settings.weeklyCostBudget ?? 5000,
+                overtimeThresholdHours: constraints.overtimeThresholdHours,
+                overtimePremium: constraints.overtimePremium,
+                overtimeMode: constraints.overtimeMode,
+                optimizeTimeMs,
+                rules: constraints.rules
             },
             stats: {
                 totalShifts: schedule.length,
+                openShifts: openShifts.length,
+                openHours: openShifts.reduce((sum, s) => sum + s.hours, 0),
+                coverageGapHours: coverageGaps.reduce((sum, g) => sum + g.end - g.start, 0),
+                shortfallHours: hoursShortfalls.reduce((sum, s) => sum + s.minHours - s.hours, 0),
                 totalHours: totalHours,
                 totalPaidHours: totalPaidHours,
-                employeesScheduled: new Set(schedule.map(s => s.employee)).size
+                totalCost: totalCost,
+                overtimeHours: schedule.reduce((sum, s) => sum + s.overtimeHours, 0),
+                // Premium on top of straight-time pay, the part of totalCost overtime adds (as in allocateOvertime)
+                overtimeCost: schedule.reduce((sum, s) => sum + s.overtimeHours * s.hourlyWage * (constraints.overtimePremium - 1), 0),
+                holidayPremiumHours: schedule.reduce((sum, s) => sum + s.premiumHours, 0),
+                holidayPremiumCost: schedule.reduce((sum, s) => sum + s.premiumHours * s.hourlyWage, 0),
+                employeesScheduled: new Set(schedule.map(s => s.employee)).size,
+                score: improvement.score.total,
+                scoreBreakdown: improvement.score.breakdown,
+                optimization: {
+                    initialScore: improvement.initialScore,
+                    iterations: improvement.iterations,
+                    accepted: improvement.accepted,
+                    timeMs: improvement.timeMs
+                }
             },
             schedule: schedule,
-            employees: this.buildEmployeeSummary(employees, schedule)
+            openShifts: openShifts,
+            coverageGaps: coverageGaps,
+            hoursShortfalls: hoursShortfalls,
+            budget: budget,
+            employees: this.buildEmployeeSummary(employees, schedule, constraints)
+        };
+    },
+
+    /**
+     * Schedule 2-4 consecutive weeks (settings.horizonWeeks), each chained onto the weeks before it
+     * so rest, consecutive-day and weekend rotation rules carry across week boundaries, while weekly
+     * hour rules (max and minimum hours, student caps, overtime) apply to each week on its own
+     * Stops at the first week that can't be scheduled
+     * @param {Object} options - Same run hooks as generateSchedule; the time left is shared between the weeks
+     * @returns {Object} { horizon: true, success, partial, timedOut, solveTime, weeks: [weekly results] }
+     */
+    generateHorizon(employees, shiftTemplates, settings = {}, options = {}) {
+        const startTime = performance.now();
+        const count = this.horizonLength(settings);
+        const deadline = options.deadline ?? Infinity;
+        const weeks = [];
+
+        for (let i = 0; i < count; i++) {
+            const now = performance.now();
+            const onProgress = options.onProgress && (progress => options.onProgress({ ...progress, week: i + 1, weeks: count }));
+            const result = this.generateSchedule(employees, shiftTemplates, this.horizonWeekSettings(settings, i, weeks), {
+                onProgress,
+                deadline: now + (deadline - now) / (count - i)
+            });
+            weeks.push(result);
+            if (!result.success) break;
+        }
+
+        return {
+            horizon: true,
+            success: weeks.length === count && weeks.every(w => w.success),
+            partial: weeks.some(w => w.partial),
+            timedOut: weeks.some(w => w.timedOut),
+            solveTime: Math.round(performance.now() - startTime),
+            weeks
+        };
+    },
+
+    /**
+     * Diagnose each week of a horizon that failed or was left partial, with the settings it was scheduled under
+     * Returns one diagnosis per week (null where none is needed)
+     */
+    diagnoseHorizon(employees, shiftTemplates, settings, horizon, options = {}) {
+        return horizon.weeks.map((week, i) => (!week.success || week.partial)
+            ? this.diagnose(employees, shiftTemplates, this.horizonWeekSettings(settings, i, horizon.weeks.slice(0, i)), options)
+            : null);
+    },
+
+    /**
+     * Number of weeks to schedule in one run (1-4)
+     */
+    horizonLength(settings = {}) {
+        return Math.min(4, Math.max(1, settings.horizonWeeks ?? 1));
+    },
+
+    /**
+     * Settings for week `index` of a horizon: its start date, with the weeks already
+     * scheduled in the horizon added to the previous schedules
+     */
+    horizonWeekSettings(settings, index, earlierWeeks = []) {
+        const { start } = this.scheduleWeek(settings);
+        return {
+            ...settings,
+            weekStart: start ? this.addDays(start, 7 * index) : null,
+            previousSchedules: [...(settings.previousSchedules || []), ...earlierWeeks.filter(w => w.success)]
+        };
+    },
+
+    /**
+     * Solver constraints from settings, with defaults
+     * Employees are only needed to put names on pairing rules
+     */
+    getConstraints(settings = {}, employees = []) {
+        const week = this.scheduleWeek(settings);
+        return {
+            minRestHours: settings.minRestHours ?? 10,
+            maxConsecutiveDays: settings.maxConsecutiveDays ?? 5,
+            storeWeeklyHours: settings.storeWeeklyHours ?? 280,
+            internationalStudentMaxHours: settings.internationalStudentMaxHours ?? 24,
+            internationalStudentBreakMaxHours: settings.internationalStudentBreakMaxHours ?? 40,
+            rules: settings.rules || {},
+            searchLimit: settings.searchLimit,
+            roleRanks: Object.fromEntries((settings.roles || []).map(r => [r.name, r.priority])),
+            higherRolesCoverLower: settings.higherRolesCoverLower ?? false,
+            managerRoles: (settings.roles || []).filter(r => r.canManage).map(r => r.name),
+            roleMinHours: Object.fromEntries((settings.roles || []).filter(r => r.minHours > 0).map(r => [r.name, r.minHours])),
+            roleWages: Object.fromEntries((settings.roles || []).filter(r => r.hourlyWage > 0).map(r => [r.name, r.hourlyWage])),
+            overtimeThresholdHours: settings.overtimeThresholdHours ?? 44,
+            overtimePremium: settings.overtimePremium ?? 1.5,
+            overtimeMode: settings.overtimeMode ?? 'minimize',
+            storeHours: settings.storeHours || null,
+            weekStart: week.start,
+            weekDays: week.days,
+            timeOff: this.resolveTimeOff(settings.timeOff, week.start),
+            minConsecutiveDaysOff: settings.minConsecutiveDaysOff ?? 0,
+            maxWeekendsWorked: settings.maxWeekendsWorked ?? 1,
+            weekendRotationWeeks: settings.weekendRotationWeeks ?? 1,
+            weekendRotationRoles: settings.weekendRotationRoles || [],
+            carryOver: this.resolveCarryOver(settings.previousSchedules, week.start),
+            holidays: this.resolveHolidays(settings.holidays, week.start),
+            holidayPremium: settings.holidayPremium ?? 1.5,
+            recentWeekends: this.countRecentWeekends(settings.previousSchedules, week.start, settings.weekendRotationWeeks ?? 1),
+            pairings: this.resolvePairings(settings.pairings, week.start, employees)
         };
     },
 
     /**
      * Generate all shifts for the week from templates
+     * Each template produces one slot per required headcount on each of its active days,
+     * using the day's start/end override when one is set
+     * Days run in week order from weekStartsOn; shifts get calendar dates when weekStart is given
+     * Holidays (by day index, see resolveHolidays) close the store or run a reduced set of templates
      */
-    generateWeeklyShifts(templates) {
+    generateWeeklyShifts(templates, weekStartsOn = 'Monday', weekStart = null, holidays = {}) {
         const shifts = [];
+        const days = this.weekDays(weekStartsOn);
         let id = 0;
 
-        for (let dayIdx = 0; dayIdx < this.DAYS.length; dayIdx++) {
-            const day = this.DAYS[dayIdx];
+        for (let dayIdx = 0; dayIdx < days.length; dayIdx++) {
+            const day = days[dayIdx];
+            const holiday = holidays[dayIdx];
+            if (holiday?.behaviour === 'closed') continue;
+
             for (const template of templates) {
-                shifts.push({
-                    id: id++,
-                    templateId: template.id,
-                    name: template.name,
-                    day: day,
-                    dayIndex: dayIdx,
-                    start: template.start,
-                    end: template.end,
-                    hours: template.end - template.start,
-                    role: template.role
-                });
+                if (!this.isTemplateActiveOn(template, day)) continue;
+
+                const { start, end } = this.getTemplateTimes(template, day);
+                if (holiday?.behaviour === 'reduced' && !this.runsOnReducedHoliday(template, start, end, holiday)) continue;
+                const headcount = Math.max(1, template.headcount || 1);
+                for (let slot = 0; slot < headcount; slot++) {
+                    shifts.push({
+                        id: id++,
+                        templateId: template.id,
+                        name: template.name,
+                        day: day,
+                        dayIndex: dayIdx,
+                        date: weekStart ? this.addDays(weekStart, dayIdx) : null,
+                        holiday: holiday ? holiday.name : null,
+                        start: start,
+                        end: end,
+                        hours: end - start,
+                        overnight: end > 24,
+                        role: template.role,
+                        priority: template.priority || 'normal',
+                        slot: slot,
+                        headcount: headcount
+                    });
+                }
             }
         }
 
+        // A closing shift ends at the latest end time on its day
+        const lastEnd = {};
+        for (const s of shifts) lastEnd[s.dayIndex] = Math.max(lastEnd[s.dayIndex] ?? 0, s.end);
+        shifts.forEach(s => { s.closing = s.end === lastEnd[s.dayIndex]; });
+
         return shifts;
     },
 
     /**
-     * Build feasibility matrix - which employees can work which shifts
+     * Shift templates covering hourly staffing requirements ({ [role]: { [day]: staff needed per hour } })
+     * Each role and day is covered by coverRequirementDay; shifts of the same role, times and headcount
+     * become one template running on each of their days
      */
-    buildFeasibilityMatrix(employees, shifts) {
-        const feasible = {}; // (empId, shiftId) => true
-        const shiftCandidates = {}; // shiftId => [empIds]
-        const employeeShifts = {}; // empId => [shiftIds]
+    templatesFromRequirements(requirements = {}, settings = {}) {
+        const { minHours, maxHours } = this.requirementShiftLengths(settings);
+        const templates = new Map();
 
-        for (const shift of shifts) {
-            shiftCandidates[shift.id] = [];
+        for (const [role, days] of Object.entries(requirements)) {
+            for (const day of this.DAYS) {
+                const counts = days[day];
+                if (!counts?.some(n => n > 0)) continue;
+
+                const storeHours = settings.storeHours ? settings.storeHours[day] : undefined;
+                for (const { start, end, headcount } of this.coverRequirementDay(counts, minHours, maxHours, storeHours).shifts) {
+                    const key = `${role}|${start}|${end}|${headcount}`;
+                    if (!templates.has(key)) {
+                        templates.set(key, {
+                            id: `req-${templates.size + 1}`,
+                            name: `${role} ${this.formatTime(start)}-${this.formatTime(end)}`,
+                            start, end, role, headcount,
+                            days: [],
+                            generated: true
+                        });
+                    }
+                    templates.get(key).days.push(day);
+                }
+            }
         }
 
-        for (const emp of employees) {
-            employeeShifts[emp.id] = [];
+        return [...templates.values()];
+    },
 
-            for (const shift of shifts) {
-                // Check role match
-                if (emp.role !== shift.role) continue;
+    /**
+     * Whole-hour shift lengths allowed for generated shifts
+     */
+    requirementShiftLengths(settings = {}) {
+        const minHours = Math.min(24, Math.max(1, Math.ceil(settings.minShiftHours ?? 4)));
+        const maxHours = Math.min(24, Math.max(minHours, Math.floor(settings.maxShiftHours ?? 8)));
+        return { minHours, maxHours };
+    },
+
+    /**
+     * Cheapest set of shifts (minHours-maxHours long, on the hour) with at least counts[h] staff in every hour h
+     * Writing x for the number of shifts over each start-end and y[h] for extra staff in hour h, the
+     * coverage constraints (shifts over h) - y[h] = counts[h], differenced hour to hour, form a flow network
+     * on the hour boundaries 0-24: a shift is an arc from its end back to its start, extra staff an arc
+     * from h to h + 1, and boundary h takes in counts[h] - counts[h - 1]. A min-cost flow therefore covers
+     * every hour with, in order of importance: the fewest overstaffed hours, the fewest of them outside
+     * storeHours ([open, close], null when closed, undefined when not known), the fewest while nobody
+     * is needed, then the fewest shifts
+     * Returns { shifts: [{ start, end, headcount }], requiredHours, scheduledHours, overstaffedHours }
+     */
+    coverRequirementDay(counts, minHours = 4, maxHours = 8, storeHours = undefined) {
+        const need = h => (h >= 0 && h < 24 ? Math.max(0, Math.round(counts[h] || 0)) : 0);
+        const closedAt = h => storeHours !== undefined && (!storeHours || h + 1 <= storeHours[0] || h >= storeHours[1]);
+        let requiredHours = 0;
+        for (let h = 0; h < 24; h++) requiredHours += need(h);
 
-                // Check availability
-                const avail = emp.availability[shift.day];
-                if (!avail) continue;
+        // Each tier's weight exceeds the most the tiers below it can add up to in the cheapest
+        // cover (which never schedules more than requiredHours * maxHours hours)
+        const tier = requiredHours * maxHours + 1;
+        const ZERO_NEED = tier;
+        const CLOSED = tier * tier;
+        const OVERSTAFFED = tier * tier * tier;
+        const SOURCE = 25;
+        const SINK = 26;
+        const arcs = [];
+        const addArc = (from, to, cap, cost, shift = null) => {
+            arcs.push({ from, to, cap, cost, flow: 0, shift });
+            arcs.push({ from: to, to: from, cap: 0, cost: -cost, flow: 0, shift: null });
+        };
 
-                // Check time window
-                if (shift.start < avail[0] || shift.end > avail[1]) continue;
+        for (let start = 0; start < 24; start++) {
+            for (let length = minHours; length <= maxHours && start + length <= 24; length++) {
+                addArc(start + length, start, Infinity, 1, { start, end: start + length });
+            }
+        }
+        for (let h = 0; h < 24; h++) {
+            addArc(h, h + 1, Infinity, OVERSTAFFED + (closedAt(h) ? CLOSED : 0) + (need(h) > 0 ? 0 : ZERO_NEED));
+        }
+        let toRoute = 0;
+        for (let h = 0; h <= 24; h++) {
+            const balance = need(h) - need(h - 1);
+            if (balance < 0) addArc(SOURCE, h, -balance, 0);
+            if (balance > 0) {
+                addArc(h, SINK, balance, 0);
+                toRoute += balance;
+            }
+        }
 
-                // This assignment is feasible
-                feasible[`${emp.id}-${shift.id}`] = true;
-                shiftCandidates[shift.id].push(emp.id);
-                employeeShifts[emp.id].push(shift.id);
+        // Successive shortest paths (Bellman-Ford, as residual arcs have negative costs)
+        while (toRoute > 0) {
+            const dist = new Array(27).fill(Infinity);
+            const via = new Array(27).fill(-1);
+            dist[SOURCE] = 0;
+            for (let pass = 0, changed = true; pass < 27 && changed; pass++) {
+                changed = false;
+                arcs.forEach((arc, i) => {
+                    if (arc.cap - arc.flow > 0 && dist[arc.from] + arc.cost < dist[arc.to]) {
+                        dist[arc.to] = dist[arc.from] + arc.cost;
+                        via[arc.to] = i;
+                        changed = true;
+                    }
+                });
+            }
+            if (dist[SINK] === Infinity) break;
+
+            let amount = toRoute;
+            for (let v = SINK; v !== SOURCE; v = arcs[via[v]].from) {
+                amount = Math.min(amount, arcs[via[v]].cap - arcs[via[v]].flow);
+            }
+            for (let v = SINK; v !== SOURCE; v = arcs[via[v]].from) {
+                arcs[via[v]].flow += amount;
+                arcs[via[v] ^ 1].flow -= amount;
             }
+            toRoute -= amount;
         }
 
-        return { feasible, shiftCandidates, employeeShifts };
+        const shifts = arcs
+            .filter(arc => arc.shift && arc.flow > 0)
+            .map(arc => ({ ...arc.shift, headcount: arc.flow }))
+            .sort((a, b) => a.start - b.start || a.end - b.end);
+        const scheduledHours = shifts.reduce((sum, s) => sum + (s.end - s.start) * s.headcount, 0);
+
+        return { shifts, requiredHours, scheduledHours, overstaffedHours: scheduledHours - requiredHours };
     },
 
     /**
-     * Main solving algorithm using greedy assignment with backtracking
+     * Check if a template runs on a reduced-hours holiday: it's one of the holiday's templates,
+     * or (when the holiday doesn't list any, or the template was generated) it fits inside the holiday's opening hours
      */
-    solve(employees, shifts, feasible, shiftCandidates, employeeShifts, constraints) {
-        const assignments = {}; // shiftId => empId
-        const employeeHours = {}; // empId => hours assigned
-        const employeeDays = {}; // empId => Set of day indices assigned
-        const employeeShiftsByDay = {}; // empId => { dayIndex: shiftId }
+    runsOnReducedHoliday(template, start, end, holiday) {
+        // Shifts generated from staffing requirements can't be listed, so they go by the hours
+        if (holiday.templateIds && !template.generated) return holiday.templateIds.includes(template.id);
+        return !!holiday.hours && start >= holiday.hours[0] && end <= holiday.hours[1];
+    },
 
-        // Initialize tracking
-        for (const emp of employees) {
-            employeeHours[emp.id] = 0;
-            employeeDays[emp.id] = new Set();
-            employeeShiftsByDay[emp.id] = {};
+    /**
+     * Date a holiday falls on in a year ('YYYY-MM-DD'), or null if it isn't in that year
+     */
+    holidayDate(holiday, year) {
+        const iso = (month, day) => `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+        switch (holiday.rule) {
+            case 'fixed':
+                return iso(holiday.month, holiday.day);
+            case 'nthWeekday': {
+                const first = iso(holiday.month, 1);
+                const offset = (this.DAYS.indexOf(holiday.weekday) - this.DAYS.indexOf(this.dayOfDate(first)) + 7) % 7;
+                return this.addDays(first, offset + 7 * (holiday.n - 1));
+            }
+            case 'mondayBefore':
+                return this.weekStartFor(this.addDays(iso(holiday.month, holiday.day), -1), 'Monday');
+            case 'easter':
+                return this.addDays(this.easterSunday(year), holiday.offset || 0);
+            case 'date':
+                return holiday.date?.startsWith(`${year}-`) ? holiday.date : null;
+            default:
+                return null;
         }
+    },
 
-        // Build shift map for quick lookup
-        const shiftMap = Object.fromEntries(shifts.map(s => [s.id, s]));
-
-        // Sort shifts by difficulty (fewest candidates first)
-        const shiftOrder = [...shifts].sort((a, b) =>
-            shiftCandidates[a.id].length - shiftCandidates[b.id].length
-        );
+    /**
+     * Easter Sunday of a year (anonymous Gregorian algorithm)
+     */
+    easterSunday(year) {
+        const a = year % 19;
+        const b = Math.floor(year / 100);
+        const c = year % 100;
+        const d = Math.floor(b / 4);
+        const e = b % 4;
+        const f = Math.floor((b + 8) / 25);
+        const g = Math.floor((b - f + 1) / 3);
+        const h = (19 * a + b - d - g + 15) % 30;
+        const i = Math.floor(c / 4);
+        const k = c % 4;
+        const l = (32 + 2 * e + 2 * i - h - k) % 7;
+        const m = Math.floor((a + 11 * h + 22 * l) / 451);
+        const month = Math.floor((h + l - 7 * m + 114) / 31);
+        const day = ((h + l - 7 * m + 114) % 31) + 1;
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    },
 
-        // Try to assign each shift
-        const success = this.assignShifts(
-            shiftOrder, 0, assignments, employeeHours, employeeDays,
-            employeeShiftsByDay, employees, shifts, shiftMap, shiftCandidates, constraints
-        );
+    /**
+     * Holidays falling in the week starting weekStart, by day index, each with its date
+     */
+    resolveHolidays(holidays = [], weekStart = null) {
+        const byDay = {};
+        if (!weekStart || !holidays) return byDay;
 
-        return success ? assignments : null;
+        const weekEnd = this.addDays(weekStart, 6);
+        const years = new Set([Number(weekStart.slice(0, 4)), Number(weekEnd.slice(0, 4))]);
+        for (const holiday of holidays) {
+            for (const year of years) {
+                const date = this.holidayDate(holiday, year);
+                if (date && date >= weekStart && date <= weekEnd) {
+                    byDay[this.daysBetween(weekStart, date)] = { ...holiday, date };
+                }
+            }
+        }
+        return byDay;
     },
 
     /**
-     * Recursive assignment with backtracking
+     * Check if a template runs on the given day (templates without a day list run every day)
      */
-    assignShifts(shiftOrder, idx, assignments, employeeHours, employeeDays,
-        employeeShiftsByDay, employees, shifts, shiftMap, shiftCandidates, constraints) {
-        // Base case: all shifts assigned
-        if (idx >= shiftOrder.length) return true;
+    isTemplateActiveOn(template, day) {
+        return !Array.isArray(template.days) || template.days.includes(day);
+    },
 
-        const shift = shiftOrder[idx];
-        const candidates = shiftCandidates[shift.id];
+    /**
+     * Get a template's start/end for a day, applying any per-day override
+     * End is normalized past 24 for shifts that cross midnight
+     */
+    getTemplateTimes(template, day) {
+        const override = template.dayOverrides?.[day];
+        const start = override?.start ?? template.start;
+        const end = override?.end ?? template.end;
+        return { start, end: this.normalizeEnd(start, end) };
+    },
 
-        // Sort candidates by priority (fewer hours assigned first, targeting those under target)
-        const empMap = Object.fromEntries(employees.map(e => [e.id, e]));
-        const sortedCandidates = [...candidates].sort((a, b) => {
-            const empA = empMap[a];
-            const empB = empMap[b];
-            const gapA = empA.targetHours - employeeHours[a];
-            const gapB = empB.targetHours - employeeHours[b];
-            return gapB - gapA; // Prioritize those further from target
-        });
+    /**
+     * Convert a clock end time to hours from the start of the shift's day
+     */
+    normalizeEnd(start, end) {
+        return end <= start ? end + 24 : end;
+    },
 
-        for (const empId of sortedCandidates) {
-            const emp = empMap[empId];
+    /**
+     * Format hours from the start of a day as a clock time (HH:MM)
+     */
+    formatTime(hour) {
+        const totalMinutes = Math.round(hour * 60) % (24 * 60);
+        const h = Math.floor(totalMinutes / 60);
+        const m = totalMinutes % 60;
+        return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+    },
 
-            // Check constraints
-            // 1. Max one shift per day
-            if (employeeDays[empId].has(shift.dayIndex)) continue;
+    /**
+     * Round an hours total for display (e.g. 7.666... -> 7.67)
+     */
+    formatHours(hours) {
+        return Math.round(hours * 100) / 100;
+    },
 
-            // 2. Max weekly hours (respects individual's maxHours)
-            if (employeeHours[empId] + shift.hours > emp.maxHours) continue;
+    /**
+     * Format a dollar amount for display (e.g. 1234.5 -> "$1,234.50")
+     */
+    formatCost(amount) {
+        return '$' + (amount || 0).toLocaleString('en-CA', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    },
 
-            // 3. International student 24hr cap
-            if (emp.employmentStatus === 'InternationalStudent') {
-                const studentMaxHours = constraints.internationalStudentMaxHours || 24;
-                if (employeeHours[empId] + shift.hours > studentMaxHours) continue;
-            }
+    /**
+     * Check if an employee's weekly availability covers a shift
+     * The shift must fit inside a single availability window; overnight shifts need a window
+     * running to midnight and one starting at midnight the next day
+     */
+    isAvailableFor(emp, shift) {
+        const windows = this.getAvailabilityWindows(emp, shift.day);
 
-            // 4. Min rest hours (check previous day's shift)
-            if (!this.checkMinRestHours(empId, shift, employeeShiftsByDay, shiftMap, constraints.minRestHours)) {
-                continue;
-            }
+        if (shift.end <= 24) {
+            return windows.some(([start, end]) => shift.start >= start && shift.end <= end);
+        }
 
-            // 5. Max consecutive days
-            if (!this.checkMaxConsecutiveDays(empId, shift.dayIndex, employeeDays, constraints.maxConsecutiveDays)) {
-                continue;
-            }
+        if (!windows.some(([start, end]) => shift.start >= start && end >= 24)) return false;
+        const nextDay = this.DAYS[(this.DAYS.indexOf(shift.day) + 1) % 7];
+        return this.getAvailabilityWindows(emp, nextDay).some(([start, end]) => start <= 0 && shift.end - 24 <= end);
+    },
 
-            // Make assignment
-            assignments[shift.id] = empId;
-            employeeHours[empId] += shift.hours;
-            employeeDays[empId].add(shift.dayIndex);
-            employeeShiftsByDay[empId][shift.dayIndex] = shift.id;
+    /**
+     * An employee's availability windows for a day as a list of [start, end]
+     * (also accepts the older single [start, end] range)
+     */
+    getAvailabilityWindows(emp, day) {
+        const avail = emp.availability?.[day];
+        if (!avail || avail.length === 0) return [];
+        return typeof avail[0] === 'number' ? [avail] : avail;
+    },
 
-            // Recurse
-            if (this.assignShifts(shiftOrder, idx + 1, assignments, employeeHours, employeeDays,
-                employeeShiftsByDay, employees, shifts, shiftMap, shiftCandidates, constraints)) {
-                return true;
-            }
+    /**
+     * How an employee qualifies for a shift's role: 'primary' (their own role), 'qualified'
+     * (one of their additional roles), 'hierarchy' (a higher-priority role covering a lower one,
+     * when enabled) or null if they can't work it
+     */
+    roleMatch(emp, shift, constraints = {}) {
+        if (emp.role === shift.role) return 'primary';
+        if ((emp.qualifiedRoles || []).includes(shift.role)) return 'qualified';
 
-            // Backtrack
-            delete assignments[shift.id];
-            employeeHours[empId] -= shift.hours;
-            employeeDays[empId].delete(shift.dayIndex);
-            delete employeeShiftsByDay[empId][shift.dayIndex];
+        if (constraints.higherRolesCoverLower) {
+            const ranks = constraints.roleRanks || {};
+            const shiftRank = ranks[shift.role];
+            const empRanks = [emp.role, ...(emp.qualifiedRoles || [])].map(r => ranks[r]).filter(r => r !== undefined);
+            // Lower priority number = more senior role
+            if (shiftRank !== undefined && empRanks.some(r => r < shiftRank)) return 'hierarchy';
         }
-
-        return false;
+        return null;
     },
 
     /**
-     * Check if assigning this shift would violate min rest hours constraint
-     * Returns true if assignment is allowed
+     * An employee's preference for a shift: the sum of their weights (-2 avoid .. +2 prefer)
+     * for its template, day and time-of-day band; 0 when they have no preferences
      */
-    checkMinRestHours(empId, shift, employeeShiftsByDay, shiftMap, minRestHours) {
-        // Check previous day
-        const prevDayIdx = shift.dayIndex - 1;
-        if (prevDayIdx >= 0 && employeeShiftsByDay[empId][prevDayIdx] !== undefined) {
-            const prevShift = shiftMap[employeeShiftsByDay[empId][prevDayIdx]];
-            // Calculate rest time: hours from previous shift end to next shift start
-            // Assuming 24-hour window per day + shift start of current day
-            const restHours = (24 - prevShift.end) + shift.start;
-            if (restHours < minRestHours) {
-                return false;
-            }
+    preferenceFor(emp, shift) {
+        const prefs = emp.preferences;
+        if (!prefs) return 0;
+        let total = (prefs.templates?.[shift.templateId] || 0) + (prefs.days?.[shift.day] || 0);
+        for (const band of this.TIME_BANDS) {
+            if (band.matches(shift)) total += prefs.timeBands?.[band.id] || 0;
         }
+        return total;
+    },
 
-        // Check if this shift would affect next day (for future-proofing)
-        const nextDayIdx = shift.dayIndex + 1;
-        if (nextDayIdx < 7 && employeeShiftsByDay[empId][nextDayIdx] !== undefined) {
-            const nextShift = shiftMap[employeeShiftsByDay[empId][nextDayIdx]];
-            const restHours = (24 - shift.end) + nextShift.start;
-            if (restHours < minRestHours) {
-                return false;
-            }
-        }
+    hasPreferences(emp) {
+        const prefs = emp.preferences || {};
+        return ['templates', 'days', 'timeBands'].some(group => Object.values(prefs[group] || {}).some(w => w !== 0));
+    },
 
-        return true;
+    /**
+     * Manager-on-duty coverage applies when store hours are set, some role can manage,
+     * and the rule is enabled
+     */
+    coverageRequired(constraints = {}) {
+        return !!constraints.storeHours && constraints.managerRoles?.length > 0 &&
+            Rules.isEnabled(Rules.get('managerOnDuty'), constraints);
     },
 
     /**
-     * Check if assigning this day would violate max consecutive days constraint
-     * Returns true if assignment is allowed
+     * Employees holding a role that can manage (primary or additional)
      */
-    checkMaxConsecutiveDays(empId, dayIndex, employeeDays, maxConsecutiveDays) {
-        const days = employeeDays[empId];
+    isManager(emp, constraints = {}) {
+        return [emp.role, ...(emp.qualifiedRoles || [])].some(r => constraints.managerRoles?.includes(r));
+    },
 
-        // Simulate adding this day
-        const simulatedDays = new Set(days);
-        simulatedDays.add(dayIndex);
+    /**
+     * Opening hours with no manager on shift, as { day, dayIndex, start, end }
+     * Overnight shifts also cover the early hours of the next day
+     */
+    findCoverageGaps(employees, shifts, assignments, constraints = {}) {
+        if (!this.coverageRequired(constraints)) return [];
 
-        // Count longest consecutive streak
-        let maxStreak = 0;
-        let currentStreak = 0;
+        const managers = new Set(employees.filter(e => this.isManager(e, constraints)).map(e => e.id));
+        const days = constraints.weekDays || this.DAYS;
+        const covered = days.map(() => []);
+        for (const shift of shifts) {
+            if (!managers.has(assignments[shift.id])) continue;
+            covered[shift.dayIndex].push([shift.start, Math.min(shift.end, 24)]);
+            if (shift.end > 24 && shift.dayIndex < 6) covered[shift.dayIndex + 1].push([0, shift.end - 24]);
+        }
 
-        for (let i = 0; i < 7; i++) {
-            if (simulatedDays.has(i)) {
-                currentStreak++;
-                maxStreak = Math.max(maxStreak, currentStreak);
-            } else {
-                currentStreak = 0;
+        const gaps = [];
+        days.forEach((day, dayIndex) => {
+            // Holidays close the store or shorten its hours
+            const holiday = constraints.holidays?.[dayIndex];
+            const hours = holiday && holiday.behaviour !== 'normal'
+                ? (holiday.behaviour === 'reduced' ? holiday.hours : null)
+                : constraints.storeHours[day];
+            if (!hours) return;
+            const [open, close] = hours;
+            let cursor = open;
+            for (const [start, end] of covered[dayIndex].sort((a, b) => a[0] - b[0])) {
+                if (start > cursor && cursor < close) gaps.push({ day, dayIndex, start: cursor, end: Math.min(start, close) });
+                cursor = Math.max(cursor, end);
             }
-        }
+            if (cursor < close) gaps.push({ day, dayIndex, start: cursor, end: close });
+        });
+        return gaps;
+    },
 
-        return maxStreak <= maxConsecutiveDays;
+    /**
+     * Give every shift that some manager could work to one of them, ignoring assignment rules,
+     * so any coverage gap left over can't be closed by any schedule
+     */
+    bestCaseManagerAssignments(employees, shifts, shiftCandidates, constraints) {
+        const managers = new Set(employees.filter(e => this.isManager(e, constraints)).map(e => e.id));
+        const assignments = {};
+        for (const shift of shifts) {
+            const empId = shiftCandidates[shift.id].find(id => managers.has(id));
+            if (empId !== undefined) assignments[shift.id] = empId;
+        }
+        return assignments;
     },
 
     /**
-     * Build the final schedule result with break calculations
+     * Guaranteed weekly hours: the employee's own minimum, else their role's default, else 0
      */
-    buildScheduleResult(employees, shifts, assignments, breakConfig = {}) {
-        const empMap = Object.fromEntries(employees.map(e => [e.id, e]));
-        const schedule = [];
+    minHoursFor(emp, constraints = {}) {
+        return emp.minHours ?? constraints.roleMinHours?.[emp.role] ?? 0;
+    },
 
-        const breakAfterHours = breakConfig.breakAfterHours ?? 4;
-        const breakDurationMinutes = breakConfig.breakDurationMinutes ?? 30;
+    minHoursRequired(constraints = {}) {
+        return Rules.isEnabled(Rules.get('minHours'), constraints);
+    },
 
+    /**
+     * Employees scheduled below their minimum hours, as { employeeId, name, minHours, hours }
+     */
+    findHoursShortfalls(employees, shifts, assignments, constraints = {}) {
+        if (!this.minHoursRequired(constraints)) return [];
+
+        const hours = {};
         for (const shift of shifts) {
             const empId = assignments[shift.id];
-            if (empId !== undefined) {
-                const emp = empMap[empId];
+            if (empId !== undefined) hours[empId] = (hours[empId] || 0) + shift.hours;
+        }
 
-                // Calculate break time
-                const hasBreak = shift.hours >= breakAfterHours;
-                const breakMinutes = hasBreak ? breakDurationMinutes : 0;
-                const paidHours = shift.hours - (breakMinutes / 60);
+        return employees
+            .map(emp => ({ employeeId: emp.id, name: emp.name, minHours: this.minHoursFor(emp, constraints), hours: hours[emp.id] || 0 }))
+            .filter(s => s.hours < s.minHours - 1e-9);
+    },
 
-                schedule.push({
-                    employee: emp.name,
-                    employeeId: emp.id,
-                    employmentStatus: emp.employmentStatus || 'Citizen',
-                    role: emp.role,
-                    day: shift.day,
+    /**
+     * Most hours an employee could possibly work: their longest eligible shift each day,
+     * capped by their weekly hour limits (other employees and rest rules are ignored)
+     */
+    bestCaseHours(emp, shifts, shiftCandidates, constraints = {}) {
+        const longest = {};
+        for (const shift of shifts) {
+            if (!shiftCandidates[shift.id]?.includes(emp.id)) continue;
+            longest[shift.dayIndex] = Math.max(longest[shift.dayIndex] || 0, shift.hours);
+        }
+        const total = Object.values(longest).reduce((sum, h) => sum + h, 0);
+        const maxHours = Rules.isEnabled(Rules.get('maxHours'), constraints) ? emp.maxHours : Infinity;
+        return Math.min(total, maxHours, Rules.validateEmployee(emp, constraints).maxHours);
+    },
+
+    /**
+     * Approved time off that falls in the scheduled week, as blocked hours per day
+     * Each block is { employeeId, dayIndex, start, end } with 0-24 for a whole day; day index 7 is
+     * the day after the week, which an overnight shift on the last day runs into
+     */
+    resolveTimeOff(requests = [], weekStart = null) {
+        if (!weekStart || !requests) return [];
+        const blocks = [];
+
+        for (const req of requests) {
+            if (req.status !== 'approved') continue;
+            const first = Math.max(0, this.daysBetween(weekStart, req.startDate));
+            const last = Math.min(7, this.daysBetween(weekStart, req.endDate));
+            for (let dayIndex = first; dayIndex <= last; dayIndex++) {
+                blocks.push({ employeeId: req.employeeId, dayIndex, start: req.startTime ?? 0, end: req.endTime ?? 24 });
+            }
+        }
+        return blocks;
+    },
+
+    /**
+     * First approved time-off block that overlaps a shift, or undefined
+     */
+    findTimeOffConflict(emp, shift, timeOff = []) {
+        const shiftStart = shift.dayIndex * 24 + shift.start;
+        const shiftEnd = shift.dayIndex * 24 + shift.end;
+        return timeOff.find(b => b.employeeId === emp.id &&
+            b.dayIndex * 24 + b.start < shiftEnd && b.dayIndex * 24 + b.end > shiftStart);
+    },
+
+    /**
+     * Parse a 'YYYY-MM-DD' date as a UTC timestamp so day arithmetic isn't thrown off by DST
+     */
+    parseDate(isoDate) {
+        const [y, m, d] = isoDate.split('-').map(Number);
+        return Date.UTC(y, m - 1, d);
+    },
+
+    addDays(isoDate, days) {
+        return new Date(this.parseDate(isoDate) + days * 86400000).toISOString().slice(0, 10);
+    },
+
+    daysBetween(fromDate, toDate) {
+        return Math.round((this.parseDate(toDate) - this.parseDate(fromDate)) / 86400000);
+    },
+
+    /**
+     * Local calendar date as 'YYYY-MM-DD'
+     */
+    toISODate(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    },
+
+    /**
+     * Day names in week order, starting from weekStartsOn
+     */
+    weekDays(weekStartsOn = 'Monday') {
+        const first = Math.max(0, this.DAYS.indexOf(weekStartsOn));
+        return [...this.DAYS.slice(first), ...this.DAYS.slice(0, first)];
+    },
+
+    /**
+     * Day name of a 'YYYY-MM-DD' date
+     */
+    dayOfDate(isoDate) {
+        return this.DAYS[(new Date(this.parseDate(isoDate)).getUTCDay() + 6) % 7];
+    },
+
+    isWeekend(day) {
+        return day === 'Saturday' || day === 'Sunday';
+    },
+
+    /**
+     * First date of the week (starting on weekStartsOn) that contains the given date
+     */
+    weekStartFor(isoDate, weekStartsOn = 'Monday') {
+        const offset = (this.DAYS.indexOf(this.dayOfDate(isoDate)) - this.DAYS.indexOf(weekStartsOn) + 7) % 7;
+        return this.addDays(isoDate, -offset);
+    },
+
+    /**
+     * First date of the week after the one containing the given date
+     */
+    nextWeekStart(date = new Date(), weekStartsOn = 'Monday') {
+        return this.addDays(this.weekStartFor(this.toISODate(date), weekStartsOn), 7);
+    },
+
+    /**
+     * The week being scheduled: its day names in order and first date (settings.weekStart
+     * snapped back to weekStartsOn, or null for an undated week)
+     */
+    scheduleWeek(settings = {}) {
+        const days = this.weekDays(settings.weekStartsOn);
+        return { days, start: settings.weekStart ? this.weekStartFor(settings.weekStart, days[0]) : null };
+    },
+
+    /**
+     * Build feasibility matrix - which employees can work which shifts
+     */
+    buildFeasibilityMatrix(employees, shifts, constraints = {}) {
+        const feasible = {}; // (empId, shiftId) => true
+        const shiftCandidates = {}; // shiftId => [empIds]
+        const employeeShifts = {}; // empId => [shiftIds]
+
+        for (const shift of shifts) {
+            shiftCandidates[shift.id] = [];
+        }
+
+        for (const emp of employees) {
+            employeeShifts[emp.id] = [];
+
+            for (const shift of shifts) {
+                // Check role match, availability and time window
+                if (this.checkFeasibility(emp, shift, constraints)) continue;
+
+                // This assignment is feasible
+                feasible[`${emp.id}-${shift.id}`] = true;
+                shiftCandidates[shift.id].push(emp.id);
+                employeeShifts[emp.id].push(shift.id);
+            }
+        }
+
+        return { feasible, shiftCandidates, employeeShifts };
+    },
+
+    /**
+     * Check the static (schedule-independent) rules for an employee to work a shift
+     * Returns null if feasible, otherwise the reason code
+     */
+    checkFeasibility(emp, shift, constraints = {}) {
+        const rule = Rules.firstViolation('feasibility', { emp, shift, constraints });
+        return rule ? rule.code : null;
+    },
+
+    /**
+     * Main solving algorithm using greedy assignment with backtracking
+     */
+    solve(employees, shifts, feasible, shiftCandidates, employeeShifts, constraints, run = this.createRun()) {
+        const assignments = {}; // shiftId => empId
+        const employeeHours = {}; // empId => hours assigned
+        const employeeDays = {}; // empId => Set of day indices assigned
+        const employeeShiftsByDay = {}; // empId => { dayIndex: shiftId }
+
+        // Initialize tracking
+        for (const emp of employees) {
+            employeeHours[emp.id] = 0;
+            employeeDays[emp.id] = new Set();
+            employeeShiftsByDay[emp.id] = {};
+        }
+
+        // Build shift map for quick lookup
+        const shiftMap = Object.fromEntries(shifts.map(s => [s.id, s]));
+
+        // Sort shifts by difficulty (fewest candidates first)
+        const shiftOrder = [...shifts].sort((a, b) =>
+            shiftCandidates[a.id].length - shiftCandidates[b.id].length
+        );
+
+        // Try to assign each shift
+        const success = this.assignShifts(
+            shiftOrder, 0, assignments, employeeHours, employeeDays,
+            employeeShiftsByDay, employees, shifts, shiftMap, shiftCandidates, constraints, run
+        );
+
+        // Out of time: fall back to the deepest partial assignment reached
+        if (!success && run.timedOut) return run.bestAssignments;
+        return success ? assignments : null;
+    },
+
+    /**
+     * Best-effort solving: find the assignment that fills the most shifts,
+     * leaving the rest open instead of failing. Stops early once every
+     * shift is filled or the search step limit is reached.
+     */
+    solvePartial(employees, shifts, feasible, shiftCandidates, employeeShifts, constraints, run = this.createRun()) {
+        const state = {
+            assignments: {},
+            employeeHours: {},
+            employeeDays: {},
+            employeeShiftsByDay: {},
+            filled: 0
+        };
+
+        for (const emp of employees) {
+            state.employeeHours[emp.id] = 0;
+            state.employeeDays[emp.id] = new Set();
+            state.employeeShiftsByDay[emp.id] = {};
+        }
+
+        const shiftMap = Object.fromEntries(shifts.map(s => [s.id, s]));
+        const empMap = Object.fromEntries(employees.map(e => [e.id, e]));
+
+        // Shifts with no candidates can never be filled, so leave them out of the search
+        const shiftOrder = shifts
+            .filter(s => shiftCandidates[s.id].length > 0)
+            .sort((a, b) => shiftCandidates[a.id].length - shiftCandidates[b.id].length);
+
+        const search = {
+            shiftOrder, shiftMap, empMap, shiftCandidates, constraints, run,
+            limit: constraints.searchLimit ?? this.PARTIAL_SEARCH_LIMIT,
+            best: {},
+            bestFilled: -1,
+            steps: 0,
+            stopped: false
+        };
+
+        this.searchPartial(0, state, search);
+        return search.best;
+    },
+
+    /**
+     * Depth-first search over assign-or-leave-open choices with a simple bound:
+     * a branch is abandoned when filling every remaining shift couldn't beat the best found
+     */
+    searchPartial(idx, state, search) {
+        if (++search.steps > search.limit || this.tick(search.run)) {
+            search.stopped = true;
+            return;
+        }
+
+        if (state.filled > search.bestFilled) {
+            search.best = { ...state.assignments };
+            search.bestFilled = state.filled;
+            search.run.filled = state.filled;
+            if (search.bestFilled === search.shiftOrder.length) search.stopped = true;
+        }
+
+        if (idx >= search.shiftOrder.length) return;
+        if (state.filled + (search.shiftOrder.length - idx) <= search.bestFilled) return;
+
+        const shift = search.shiftOrder[idx];
+        const candidates = this.sortCandidates(search.shiftCandidates[shift.id], search.empMap, state.employeeHours, shift);
+
+        for (const empId of candidates) {
+            const emp = search.empMap[empId];
+            if (!this.canAssign(emp, shift, state.employeeHours, state.employeeDays,
+                state.employeeShiftsByDay, search.shiftMap, search.constraints)) {
+                continue;
+            }
+
+            state.assignments[shift.id] = empId;
+            state.employeeHours[empId] += shift.hours;
+            state.employeeDays[empId].add(shift.dayIndex);
+            state.employeeShiftsByDay[empId][shift.dayIndex] = shift.id;
+            state.filled++;
+
+            this.searchPartial(idx + 1, state, search);
+
+            delete state.assignments[shift.id];
+            state.employeeHours[empId] -= shift.hours;
+            state.employeeDays[empId].delete(shift.dayIndex);
+            delete state.employeeShiftsByDay[empId][shift.dayIndex];
+            state.filled--;
+            search.run.backtracks++;
+
+            if (search.stopped) return;
+        }
+
+        // Leave this shift open
+        this.searchPartial(idx + 1, state, search);
+    },
+
+    /**
+     * Recursive assignment with backtracking
+     */
+    assignShifts(shiftOrder, idx, assignments, employeeHours, employeeDays,
+        employeeShiftsByDay, employees, shifts, shiftMap, shiftCandidates, constraints, run = this.createRun()) {
+        // Base case: all shifts assigned (and any whole-schedule check passes)
+        if (idx >= shiftOrder.length) return !run.acceptComplete || run.acceptComplete(assignments);
+        if (this.tick(run)) return false;
+
+        if (idx > run.filled) {
+            run.filled = idx;
+            run.bestAssignments = { ...assignments };
+        }
+
+        const shift = shiftOrder[idx];
+        const candidates = shiftCandidates[shift.id];
+
+        const empMap = Object.fromEntries(employees.map(e => [e.id, e]));
+        const sortedCandidates = this.sortCandidates(candidates, empMap, employeeHours, shift);
+
+        for (const empId of sortedCandidates) {
+            const emp = empMap[empId];
+
+            if (!this.canAssign(emp, shift, employeeHours, employeeDays, employeeShiftsByDay, shiftMap, constraints)) {
+                continue;
+            }
+
+            // Make assignment
+            assignments[shift.id] = empId;
+            employeeHours[empId] += shift.hours;
+            employeeDays[empId].add(shift.dayIndex);
+            employeeShiftsByDay[empId][shift.dayIndex] = shift.id;
+
+            // Recurse
+            if (this.assignShifts(shiftOrder, idx + 1, assignments, employeeHours, employeeDays,
+                employeeShiftsByDay, employees, shifts, shiftMap, shiftCandidates, constraints, run)) {
+                return true;
+            }
+
+            // Backtrack
+            delete assignments[shift.id];
+            employeeHours[empId] -= shift.hours;
+            employeeDays[empId].delete(shift.dayIndex);
+            delete employeeShiftsByDay[empId][shift.dayIndex];
+            run.backtracks++;
+            if (run.timedOut) return false;
+        }
+
+        return false;
+    },
+
+    /**
+     * Sort candidates by priority (primary-role matches before cross-role cover,
+     * then fewer hours assigned first, targeting those under target)
+     */
+    sortCandidates(candidates, empMap, employeeHours, shift = null) {
+        return [...candidates].sort((a, b) => {
+            const empA = empMap[a];
+            const empB = empMap[b];
+            if (shift) {
+                const crossA = empA.role === shift.role ? 0 : 1;
+                const crossB = empB.role === shift.role ? 0 : 1;
+                if (crossA !== crossB) return crossA - crossB;
+            }
+            const gapA = empA.targetHours - employeeHours[a];
+            const gapB = empB.targetHours - employeeHours[b];
+            return gapB - gapA; // Prioritize those further from target
+        });
+    },
+
+    /**
+     * Check all per-employee constraints for assigning a shift
+     * Returns true if assignment is allowed
+     */
+    canAssign(emp, shift, employeeHours, employeeDays, employeeShiftsByDay, shiftMap, constraints) {
+        return this.checkAssignment(emp, shift, employeeHours, employeeDays, employeeShiftsByDay, shiftMap, constraints) === null;
+    },
+
+    /**
+     * Check all enabled assignment rules for giving a shift to an employee
+     * Returns null if assignment is allowed, otherwise the reason code of the first violated rule
+     */
+    checkAssignment(emp, shift, employeeHours, employeeDays, employeeShiftsByDay, shiftMap, constraints) {
+        const rule = Rules.firstViolation('assignment', {
+            emp, shift, hours: employeeHours[emp.id], employeeDays, employeeShiftsByDay, shiftMap, constraints
+        });
+        return rule ? rule.code : null;
+    },
+
+    /**
+     * Check if assigning this shift would violate min rest hours constraint
+     * carryOver holds the employee's shifts from the week before (see resolveCarryOver)
+     * Returns true if assignment is allowed
+     */
+    checkMinRestHours(empId, shift, employeeShiftsByDay, shiftMap, minRestHours, carryOver = []) {
+        // Shifts at the end of the previous week
+        if (carryOver.some(prev => this.restBetween(prev, shift) < minRestHours)) {
+            return false;
+        }
+
+        // Check previous day
+        const prevDayIdx = shift.dayIndex - 1;
+        if (prevDayIdx >= 0 && employeeShiftsByDay[empId][prevDayIdx] !== undefined) {
+            const prevShift = shiftMap[employeeShiftsByDay[empId][prevDayIdx]];
+            // Rest time: hours from previous shift end to this shift start (end may run past midnight)
+            const restHours = this.restBetween(prevShift, shift);
+            if (restHours < minRestHours) {
+                return false;
+            }
+        }
+
+        // Check if this shift would affect next day (for future-proofing)
+        const nextDayIdx = shift.dayIndex + 1;
+        if (nextDayIdx < 7 && employeeShiftsByDay[empId][nextDayIdx] !== undefined) {
+            const nextShift = shiftMap[employeeShiftsByDay[empId][nextDayIdx]];
+            const restHours = this.restBetween(shift, nextShift);
+            if (restHours < minRestHours) {
+                return false;
+            }
+        }
+
+        return true;
+    },
+
+    /**
+     * Hours between the end of one shift and the start of a later one
+     */
+    restBetween(earlier, later) {
+        return (later.dayIndex * 24 + later.start) - (earlier.dayIndex * 24 + earlier.end);
+    },
+
+    /**
+     * Check if assigning this shift would violate max consecutive days constraint
+     * Overnight shifts count on the day they start only (rest after them is minRestHours' job)
+     * Streaks running on from the previous week's shifts in carryOver count too
+     * Returns true if assignment is allowed
+     */
+    checkMaxConsecutiveDays(empId, shift, employeeShiftsByDay, shiftMap, maxConsecutiveDays, carryOver = []) {
+        // Simulate adding this shift
+        const simulatedDays = new Set();
+        const assigned = Object.values(employeeShiftsByDay[empId]).map(id => shiftMap[id]);
+        for (const s of [...carryOver, ...assigned, shift]) {
+            simulatedDays.add(s.dayIndex);
+        }
+
+        // Count longest consecutive streak (days -7 to -1 are the previous week)
+        let maxStreak = 0;
+        let currentStreak = 0;
+
+        for (let i = -7; i < 7; i++) {
+            if (simulatedDays.has(i)) {
+                currentStreak++;
+                maxStreak = Math.max(maxStreak, currentStreak);
+            } else {
+                currentStreak = 0;
+            }
+        }
+
+        return maxStreak <= maxConsecutiveDays;
+    },
+
+    /**
+     * Pairing rules active in the scheduled week, with the week's day indexes they cover
+     * (overnight spill into next Monday is index 7) and the two employees' names
+     * Rules without dates apply every day; without a week start, dated rules apply every day too
+     */
+    resolvePairings(pairings = [], weekStart = null, employees = []) {
+        const names = Object.fromEntries(employees.map(e => [e.id, e.name]));
+        const resolved = [];
+
+        for (const p of pairings || []) {
+            const days = new Set();
+            for (let i = 0; i <= 7; i++) {
+                const date = weekStart ? this.addDays(weekStart, i) : null;
+                if (date && ((p.startDate && date < p.startDate) || (p.endDate && date > p.endDate))) continue;
+                days.add(i);
+            }
+            if (days.size === 0) continue;
+            resolved.push({
+                ...p,
+                days,
+                employeeName: names[p.employeeId] || 'Unknown employee',
+                partnerName: names[p.partnerId] || 'Unknown employee'
+            });
+        }
+
+        return resolved;
+    },
+
+    /**
+     * Whether two shifts overlap in time (by absolute hour of the week)
+     */
+    shiftsOverlap(a, b) {
+        return a.dayIndex * 24 + a.start < b.dayIndex * 24 + b.end &&
+            b.dayIndex * 24 + b.start < a.dayIndex * 24 + a.end;
+    },
+
+    /**
+     * First pairing rule of the given type ('mustOverlap' | 'mustNotOverlap') that
+     * giving this shift to the employee would break, or null
+     *
+     * Must-not-overlap is checked against the other employee's assigned shifts (closing shifts
+     * only if the rule says so). Must-overlap can't be settled until the partner's week is known,
+     * so it only fails when no overlapping partner shift is assigned and none could still be
+     * (every day one could start on is already taken); complete schedules are re-checked
+     * with findUnpairedShifts.
+     */
+    findPairingConflict(emp, shift, employeeShiftsByDay, shiftMap, constraints, type) {
+        for (const p of constraints.pairings || []) {
+            if (p.type !== type || (p.employeeId !== emp.id && p.partnerId !== emp.id)) continue;
+            const otherId = p.employeeId === emp.id ? p.partnerId : p.employeeId;
+            const otherShifts = Object.values(employeeShiftsByDay[otherId] || {}).map(id => shiftMap[id]);
+
+            if (type === 'mustNotOverlap') {
+                if (!p.days.has(shift.dayIndex) || (p.closingOnly && !shift.closing)) continue;
+                if (otherShifts.some(o => this.shiftsOverlap(shift, o) && (!p.closingOnly || o.closing))) return p;
+            } else if (p.employeeId === emp.id) {
+                if (p.days.has(shift.dayIndex) &&
+                    !this.canStillPair(shift, employeeShiftsByDay[p.partnerId] || {}, shiftMap, p.partnerOvernightDays)) return p;
+            } else {
+                // The partner taking this shift uses up that day, which may strand one of the employee's shifts
+                const partnerDays = { ...employeeShiftsByDay[emp.id], [shift.dayIndex]: shift.id };
+                const stranded = otherShifts.some(t => p.days.has(t.dayIndex) &&
+                    Math.abs(t.dayIndex - shift.dayIndex) <= 1 && !this.canStillPair(t, partnerDays, shiftMap, p.partnerOvernightDays));
+                if (stranded) return p;
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Whether a shift overlaps one of the partner's shifts (partnerDays: { dayIndex: shiftId }),
+     * or still could because the partner is free on a day an overlapping shift could start
+     * (partnerOvernightDays: days the partner could start an overnight shift, see indexPairingPartners)
+     */
+    canStillPair(shift, partnerDays, shiftMap, partnerOvernightDays) {
+        for (let d = shift.dayIndex - 1; d <= shift.dayIndex + 1; d++) {
+            const id = partnerDays[d];
+            if (id !== undefined) {
+                if (this.shiftsOverlap(shift, shiftMap[id])) return true;
+                continue;
+            }
+            // A free day only helps if a shift starting then could reach this one
+            if (d === shift.dayIndex || (d > shift.dayIndex && shift.overnight)) return true;
+            if (d < shift.dayIndex && partnerOvernightDays.has(d)) return true;
+        }
+        return false;
+    },
+
+    /**
+     * Record on each must-overlap pairing the days its partner could start an overnight shift
+     * (from the shifts they're eligible for), once per run, so canStillPair needn't scan the week
+     */
+    indexPairingPartners(shifts, employeeShifts, constraints = {}) {
+        const overnightDay = Object.fromEntries(shifts.filter(s => s.overnight).map(s => [s.id, s.dayIndex]));
+        for (const p of constraints.pairings || []) {
+            if (p.type !== 'mustOverlap') continue;
+            p.partnerOvernightDays = new Set((employeeShifts[p.partnerId] || [])
+                .filter(id => id in overnightDay)
+                .map(id => overnightDay[id]));
+        }
+    },
+
+    /**
+     * Shifts worked by the first employee of a must-overlap pairing with no overlapping partner shift
+     * Returns [{ pairing, shift }]
+     */
+    findUnpairedShifts(shifts, assignments, constraints) {
+        const together = (constraints.pairings || []).filter(p => p.type === 'mustOverlap');
+        if (together.length === 0) return [];
+
+        const shiftsByEmp = {};
+        for (const shift of shifts) {
+            const empId = assignments[shift.id];
+            if (empId === undefined) continue;
+            (shiftsByEmp[empId] = shiftsByEmp[empId] || []).push(shift);
+        }
+
+        const unpaired = [];
+        for (const p of together) {
+            const partnerShifts = shiftsByEmp[p.partnerId] || [];
+            for (const shift of shiftsByEmp[p.employeeId] || []) {
+                if (p.days.has(shift.dayIndex) && !partnerShifts.some(o => this.shiftsOverlap(shift, o))) {
+                    unpaired.push({ pairing: p, shift });
+                }
+            }
+        }
+        return unpaired;
+    },
+
+    /**
+     * Leave open any shift whose must-overlap partner isn't on, until none remain
+     * (an unpaired employee can be someone else's partner, so one drop can strand another shift)
+     */
+    dropUnpairedShifts(shifts, assignments, constraints) {
+        let unpaired = this.findUnpairedShifts(shifts, assignments, constraints);
+        while (unpaired.length > 0) {
+            for (const { shift } of unpaired) delete assignments[shift.id];
+            unpaired = this.findUnpairedShifts(shifts, assignments, constraints);
+        }
+    },
+
+    /**
+     * Check that the employee still has a run of at least minDaysOff consecutive days off
+     * within the week after taking this shift (overnight shifts count on the day they start)
+     * Working more can only shorten runs of days off, so checking each assignment is enough
+     * Returns true if assignment is allowed
+     */
+    checkMinConsecutiveDaysOff(empId, shift, employeeShiftsByDay, shiftMap, minDaysOff) {
+        if (!minDaysOff) return true;
+        const assigned = Object.values(employeeShiftsByDay[empId]).map(id => shiftMap[id]);
+        return this.longestDaysOff([...assigned, shift]) >= minDaysOff;
+    },
+
+    /**
+     * Longest run of days in the week (Monday-Sunday) with no shift worked
+     */
+    longestDaysOff(shifts) {
+        const worked = new Set(shifts.map(s => s.dayIndex));
+
+        let longest = 0;
+        let current = 0;
+        for (let i = 0; i < 7; i++) {
+            current = worked.has(i) ? 0 : current + 1;
+            longest = Math.max(longest, current);
+        }
+        return longest;
+    },
+
+    /**
+     * Shifts from earlier schedules in the 7 days before weekStart, by employee, placed on
+     * negative day indexes of this week (-1 = the day before it starts)
+     * Returns { employeeId: [{ dayIndex, start, end, overnight }] }
+     */
+    resolveCarryOver(previousSchedules = [], weekStart = null) {
+        const carryOver = {};
+        if (!weekStart) return carryOver;
+
+        for (const prev of previousSchedules || []) {
+            const prevStart = prev?.constraints?.weekStart;
+            for (const s of prev?.schedule || []) {
+                // Schedules saved before dated weeks only have a day index from their week start
+                const date = s.date ?? (prevStart ? this.addDays(prevStart, s.dayIndex) : null);
+                if (!date) continue;
+                const dayIndex = this.daysBetween(weekStart, date);
+                if (dayIndex < -7 || dayIndex >= 0) continue;
+                const shifts = carryOver[s.employeeId] || (carryOver[s.employeeId] = []);
+                shifts.push({ dayIndex, start: s.start, end: s.end, overnight: s.overnight });
+            }
+        }
+        return carryOver;
+    },
+
+    /**
+     * Weekends (any Saturday or Sunday shift) each employee worked in earlier schedules
+     * that fall inside the rotation window, i.e. the weeks - 1 weeks before weekStart
+     * Returns { employeeId: count }
+     */
+    countRecentWeekends(previousSchedules = [], weekStart = null, weeks = 1) {
+        const counts = {};
+        if (!weekStart || weeks <= 1) return counts;
+
+        for (const prev of previousSchedules || []) {
+            const prevStart = prev?.constraints?.weekStart;
+            if (!prevStart) continue;
+            const weeksBefore = Math.round(this.daysBetween(prevStart, weekStart) / 7);
+            if (weeksBefore < 1 || weeksBefore > weeks - 1) continue;
+
+            const workedWeekend = new Set(prev.schedule.filter(s => this.isWeekend(s.day)).map(s => s.employeeId));
+            workedWeekend.forEach(id => { counts[id] = (counts[id] || 0) + 1; });
+        }
+        return counts;
+    },
+
+    /**
+     * Whether the weekend rotation rule applies to an employee (no roles listed = everyone)
+     */
+    inWeekendRotation(emp, constraints = {}) {
+        const roles = constraints.weekendRotationRoles || [];
+        return roles.length === 0 || roles.includes(emp.role);
+    },
+
+    /**
+     * Whether an employee has already worked their allowed weekends in the rotation window
+     */
+    weekendBlocked(emp, constraints = {}) {
+        return this.inWeekendRotation(emp, constraints) &&
+            (constraints.recentWeekends?.[emp.id] || 0) >= (constraints.maxWeekendsWorked ?? 1);
+    },
+
+    /**
+     * Days-off pattern problems in a finished schedule (schedule entries as built by
+     * buildScheduleResult), for showing schedules made under different settings
+     * Returns [{ employeeId, name, rule, message }]
+     */
+    findDaysOffViolations(employees, schedule, constraints = {}) {
+        const violations = [];
+        const checkDaysOff = constraints.minConsecutiveDaysOff > 0 && Rules.isEnabled(Rules.get('minDaysOff'), constraints);
+        const checkWeekends = Rules.isEnabled(Rules.get('weekendRotation'), constraints);
+
+        for (const emp of employees) {
+            const shifts = schedule.filter(s => s.employeeId === emp.id);
+            if (shifts.length === 0) continue;
+
+            const daysOff = this.longestDaysOff(shifts);
+            if (checkDaysOff && daysOff < constraints.minConsecutiveDaysOff) {
+                violations.push({
+                    employeeId: emp.id,
+                    name: emp.name,
+                    rule: 'minDaysOff',
+                    message: `${emp.name} gets at most ${daysOff} day(s) off in a row (needs ${constraints.minConsecutiveDaysOff})`
+                });
+            }
+
+            if (checkWeekends && this.weekendBlocked(emp, constraints) && shifts.some(s => this.isWeekend(s.day))) {
+                violations.push({
+                    employeeId: emp.id,
+                    name: emp.name,
+                    rule: 'weekendRotation',
+                    message: `${emp.name} works a weekend after ${constraints.recentWeekends[emp.id]} in the last ${constraints.weekendRotationWeeks - 1} week(s)`
+                });
+            }
+        }
+        return violations;
+    },
+
+    /**
+     * Paid hours for a shift after the unpaid break
+     */
+    paidHoursFor(hours, breakAfterHours = 4, breakDurationMinutes = 30) {
+        return hours >= breakAfterHours ? hours - (breakDurationMinutes / 60) : hours;
+    },
+
+    /**
+     * Weekly budget limits by basis ('hours', 'cost' or 'both'); a limit not in use is Infinity
+     */
+    budgetLimits(settings = {}) {
+        const basis = settings.budgetBasis ?? 'hours';
+        return {
+            hours: basis === 'cost' ? Infinity : (settings.storeWeeklyHours ?? 280),
+            cost: basis === 'hours' ? Infinity : (settings.weeklyCostBudget ?? 5000)
+        };
+    },
+
+    /**
+     * Hourly wage: the employee's own rate, else their role's default, else 0
+     */
+    wageFor(emp, constraints = {}) {
+        return emp?.hourlyWage ?? constraints.roleWages?.[emp?.role] ?? 0;
+    },
+
+    /**
+     * Pay multiplier for a shift: the holiday premium on holidays, otherwise 1
+     */
+    payRate(shift, constraints = {}) {
+        return shift.holiday ? (constraints.holidayPremium ?? 1.5) : 1;
+    },
+
+    /**
+     * Cost of each shift before anyone is assigned, at the cheapest eligible employee's wage
+     * (a lower bound, so hard-budget cuts never leave open a shift the budget could afford)
+     */
+    estimateShiftCosts(employees, shifts, shiftCandidates, constraints = {}) {
+        const empMap = Object.fromEntries(employees.map(e => [e.id, e]));
+        for (const s of shifts) {
+            const wages = (shiftCandidates[s.id] || []).map(id => this.wageFor(empMap[id], constraints));
+            s.estimatedCost = s.paidHours * this.payRate(s, constraints) * (wages.length ? Math.min(...wages) : 0);
+        }
+    },
+
+    /**
+     * Paid hours already scheduled for an employee this week
+     */
+    weeklyPaidHours(empId, employeeShiftsByDay, shiftMap) {
+        return Object.values(employeeShiftsByDay[empId] || {})
+            .reduce((sum, id) => sum + (shiftMap[id] ? shiftMap[id].paidHours ?? shiftMap[id].hours : 0), 0);
+    },
+
+    /**
+     * Overtime hours for a week's paid hours (Ontario: hours past 44 in a week)
+     */
+    overtimeHoursFor(paidHours, constraints = {}) {
+        return Math.max(0, paidHours - (constraints.overtimeThresholdHours ?? 44));
+    },
+
+    /**
+     * Mark the overtime on schedule entries and add the premium to their cost
+     * Overtime falls on the employee's latest shifts in the week, once their paid hours pass the threshold
+     */
+    allocateOvertime(schedule, constraints = {}) {
+        const threshold = constraints.overtimeThresholdHours ?? 44;
+        const premium = constraints.overtimePremium ?? 1.5;
+        const worked = {};
+        const ordered = [...schedule].sort((a, b) => a.dayIndex - b.dayIndex || a.start - b.start);
+
+        for (const entry of ordered) {
+            const before = worked[entry.employeeId] || 0;
+            worked[entry.employeeId] = before + entry.paidHours;
+            entry.overtimeHours = Math.min(entry.paidHours, Math.max(0, worked[entry.employeeId] - Math.max(before, threshold)));
+            entry.cost += entry.overtimeHours * entry.hourlyWage * (premium - 1);
+        }
+        return schedule;
+    },
+
+    /**
+     * Pick the shifts to leave open so total paid hours fit the budget (in budgetCutOrder)
+     */
+    selectBudgetCuts(shifts, budgetHours, budgetCost = Infinity, costOf = s => s.estimatedCost ?? 0) {
+        let excess = shifts.reduce((sum, s) => sum + s.paidHours, 0) - budgetHours;
+        let excessCost = shifts.reduce((sum, s) => sum + costOf(s), 0) - budgetCost;
+        if (excess <= 0 && excessCost <= 0) return [];
+
+        const cuts = [];
+        for (const shift of this.budgetCutOrder(shifts)) {
+            if (excess <= 0 && excessCost <= 0) break;
+            cuts.push(shift);
+            excess -= shift.paidHours;
+            excessCost -= costOf(shift);
+        }
+        return cuts;
+    },
+
+    /**
+     * Shifts in the order they are cut for the budget: lowest priority first, then extra headcount
+     * slots before the first slot, then longer shifts, then later in the week
+     */
+    budgetCutOrder(shifts) {
+        return [...shifts].sort((a, b) =>
+            (this.PRIORITY_RANK[b.priority] ?? 1) - (this.PRIORITY_RANK[a.priority] ?? 1) ||
+            b.slot - a.slot ||
+            b.paidHours - a.paidHours ||
+            b.dayIndex - a.dayIndex
+        );
+    },
+
+    /**
+     * Wage cost of a set of assignments: paid hours at each employee's wage, holiday premium and overtime premium
+     */
+    assignmentsCost(employees, shifts, assignments, constraints = {}) {
+        const empMap = Object.fromEntries(employees.map(e => [e.id, e]));
+        const paid = {};
+        let cost = 0;
+        for (const shift of shifts) {
+            const empId = assignments[shift.id];
+            if (empId === undefined) continue;
+            paid[empId] = (paid[empId] || 0) + shift.paidHours;
+            cost += shift.paidHours * this.payRate(shift, constraints) * this.wageFor(empMap[empId], constraints);
+        }
+        for (const [empId, hours] of Object.entries(paid)) {
+            cost += this.overtimeHoursFor(hours, constraints) * this.wageFor(empMap[empId], constraints) *
+                ((constraints.overtimePremium ?? 1.5) - 1);
+        }
+        return cost;
+    },
+
+    /**
+     * Unassign shifts in budget-cut order until the assignments' actual cost fits budgetCost,
+     * leaving open any must-overlap shift whose partner's shift goes (see dropUnpairedShifts)
+     * Returns the shifts reopened for the budget, each with trimmedCost: its cost as it was assigned
+     */
+    trimToCostBudget(employees, shifts, assignments, constraints, budgetCost) {
+        const reopened = [];
+        if (budgetCost === Infinity) return reopened;
+        const empMap = Object.fromEntries(employees.map(e => [e.id, e]));
+
+        for (const shift of this.budgetCutOrder(shifts.filter(s => assignments[s.id] !== undefined))) {
+            if (this.assignmentsCost(employees, shifts, assignments, constraints) <= budgetCost) break;
+            // Already left open because its partner's shift was reopened
+            if (assignments[shift.id] === undefined) continue;
+            shift.trimmedCost = shift.paidHours * this.payRate(shift, constraints) *
+                this.wageFor(empMap[assignments[shift.id]], constraints);
+            delete assignments[shift.id];
+            reopened.push(shift);
+            this.dropUnpairedShifts(shifts, assignments, constraints);
+        }
+        return reopened;
+    },
+
+    /**
+     * Greedily assign budget-cut shifts (highest priority first) while paid hours and cost stay within budget
+     */
+    refillWithinBudget(employees, shifts, cuts, assignments, shiftCandidates, constraints, budgetHours, budgetCost = Infinity) {
+        const state = this.buildAssignmentState(employees, shifts, assignments);
+        const empMap = Object.fromEntries(employees.map(e => [e.id, e]));
+        const assigned = shifts.filter(s => assignments[s.id] !== undefined);
+        let paidTotal = assigned.reduce((sum, s) => sum + s.paidHours, 0);
+        let costTotal = assigned.reduce((sum, s) =>
+            sum + s.paidHours * this.payRate(s, constraints) * this.wageFor(empMap[assignments[s.id]], constraints), 0);
+
+        for (const shift of [...cuts].reverse()) {
+            if (paidTotal + shift.paidHours > budgetHours) continue;
+
+            const candidates = this.sortCandidates(shiftCandidates[shift.id], empMap, state.employeeHours, shift);
+            const empId = candidates.find(id => costTotal + shift.paidHours * this.payRate(shift, constraints) * this.wageFor(empMap[id], constraints) <= budgetCost &&
+                this.canAssign(empMap[id], shift, state.employeeHours,
+                    state.employeeDays, state.employeeShiftsByDay, state.shiftMap, constraints));
+            if (empId === undefined) continue;
+
+            assignments[shift.id] = empId;
+            state.employeeHours[empId] += shift.hours;
+            state.employeeDays[empId].add(shift.dayIndex);
+            state.employeeShiftsByDay[empId][shift.dayIndex] = shift.id;
+            paidTotal += shift.paidHours;
+            costTotal += shift.paidHours * this.payRate(shift, constraints) * this.wageFor(empMap[empId], constraints);
+        }
+    },
+
+    /**
+     * Objective context: which shifts count as weekend/closing, who could work them, and the weights
+     */
+    buildScoreContext(employees, shifts, shiftCandidates, options = {}) {
+        const weekendIds = new Set(shifts.filter(s => this.isWeekend(s.day)).map(s => s.id));
+        const closingIds = new Set(shifts.filter(s => s.closing).map(s => s.id));
+        const eligibleFor = ids => new Set(shifts.filter(s => ids.has(s.id)).flatMap(s => shiftCandidates[s.id] || []));
+
+        return {
+            employees,
+            empMap: Object.fromEntries(employees.map(e => [e.id, e])),
+            empRoles: Object.fromEntries(employees.map(e => [e.id, e.role])),
+            shifts,
+            weekendIds,
+            closingIds,
+            weekendEligible: eligibleFor(weekendIds),
+            closingEligible: eligibleFor(closingIds),
+            weights: { ...this.OBJECTIVE_WEIGHTS, ...options.weights },
+            budgetMode: options.budgetMode ?? 'soft',
+            budgetHours: options.budgetHours ?? Infinity,
+            budgetCost: options.budgetCost ?? Infinity,
+            wages: Object.fromEntries(employees.map(e => [e.id, this.wageFor(e, options.constraints)])),
+            constraints: options.constraints || {}
+        };
+    },
+
+    /**
+     * Score a set of assignments (lower is better)
+     * Sums weighted penalties for open shifts, distance from target hours, uneven weekend and
+     * closing shifts among the employees who could work them, paid hours over a soft budget,
+     * shifts covered outside the employee's primary role, opening hours without a manager and
+     * hours below guaranteed minimums, minus a bonus for shifts employees prefer (so that part can be negative)
+     */
+    scoreSchedule(assignments, ctx) {
+        const hours = {};
+        const paid = {};
+        const weekend = {};
+        const closing = {};
+        for (const emp of ctx.employees) {
+            hours[emp.id] = 0;
+            paid[emp.id] = 0;
+            weekend[emp.id] = 0;
+            closing[emp.id] = 0;
+        }
+
+        let open = 0;
+        let crossRole = 0;
+        let preference = 0;
+        let paidHours = 0;
+        let cost = 0;
+        for (const shift of ctx.shifts) {
+            const empId = assignments[shift.id];
+            if (empId === undefined) {
+                open++;
+                continue;
+            }
+            hours[empId] += shift.hours;
+            paid[empId] += shift.paidHours ?? shift.hours;
+            paidHours += shift.paidHours ?? shift.hours;
+            cost += (shift.paidHours ?? shift.hours) * this.payRate(shift, ctx.constraints) * ctx.wages[empId];
+            if (ctx.empRoles[empId] !== shift.role) crossRole++;
+            preference += this.preferenceFor(ctx.empMap[empId], shift);
+            if (ctx.weekendIds.has(shift.id)) weekend[empId]++;
+            if (ctx.closingIds.has(shift.id)) closing[empId]++;
+        }
+
+        // Overtime hours are paid at the premium rate
+        let overtimeHours = 0;
+        for (const emp of ctx.employees) {
+            const overtime = this.overtimeHoursFor(paid[emp.id], ctx.constraints);
+            overtimeHours += overtime;
+            cost += overtime * ctx.wages[emp.id] * ((ctx.constraints.overtimePremium ?? 1.5) - 1);
+        }
+
+        // Sum of squared differences from the mean count among eligible employees
+        const spread = (counts, eligible) => {
+            if (eligible.size === 0) return 0;
+            const mean = [...eligible].reduce((sum, id) => sum + counts[id], 0) / eligible.size;
+            return [...eligible].reduce((sum, id) => sum + (counts[id] - mean) ** 2, 0);
+        };
+
+        const w = ctx.weights;
+        const breakdown = {
+            openShifts: w.openShifts * open,
+            targetHours: w.targetHours * ctx.employees.reduce((sum, e) => sum + Math.abs(hours[e.id] - e.targetHours), 0),
+            weekendFairness: w.weekendFairness * spread(weekend, ctx.weekendEligible),
+            closingFairness: w.closingFairness * spread(closing, ctx.closingEligible),
+            budget: ctx.budgetMode === 'soft' ? w.budget * Math.max(0, paidHours - ctx.budgetHours) : 0,
+            costBudget: ctx.budgetMode === 'soft' ? w.costBudget * Math.max(0, cost - ctx.budgetCost) : 0,
+            overtime: ctx.constraints.overtimeMode === 'minimize' ? w.overtime * overtimeHours : 0,
+            crossRole: w.crossRole * crossRole,
+            managerCoverage: w.managerCoverage * this.findCoverageGaps(ctx.employees, ctx.shifts, assignments, ctx.constraints)
+                .reduce((sum, g) => sum + g.end - g.start, 0),
+            preferences: preference === 0 ? 0 : -w.preferences * preference,
+            minHours: w.minHours * this.findHoursShortfalls(ctx.employees, ctx.shifts, assignments, ctx.constraints)
+                .reduce((sum, s) => sum + s.minHours - s.hours, 0)
+        };
+        const total = Object.values(breakdown).reduce((sum, v) => sum + v, 0);
+
+        return { total, breakdown, paidHours, cost, overtimeHours };
+    },
+
+    /**
+     * Improve a schedule by simulated annealing within a time limit
+     * Moves reassign a shift to another eligible employee (filling it if open), swap the employees
+     * on two shifts, or transfer an employee from one of their shifts to an open one; every move is
+     * re-checked against the compliance rules and never lowers the number of filled slots
+     * Returns the best assignments found with their score
+     */
+    improveSchedule(employees, shifts, assignments, shiftCandidates, constraints, options = {}) {
+        const run = options.run || this.createRun();
+        const timeLimitMs = Math.min(options.timeLimitMs ?? 500, run.deadline - performance.now());
+        const ctx = this.buildScoreContext(employees, shifts, shiftCandidates, options);
+        const empMap = Object.fromEntries(employees.map(e => [e.id, e]));
+        const current = Object.fromEntries(shifts.filter(s => assignments[s.id] !== undefined).map(s => [s.id, assignments[s.id]]));
+        const state = this.buildAssignmentState(employees, shifts, current);
+        const random = this.createRandom(options.seed ?? 1);
+        const pick = list => list[Math.floor(random() * list.length)];
+
+        let currentScore = this.scoreSchedule(current, ctx);
+        const initialScore = currentScore;
+        let best = { ...current };
+        let bestScore = currentScore;
+        run.phase = 'improving';
+        run.bestScore = bestScore.total;
+        let iterations = 0;
+        let accepted = 0;
+
+        const movable = shifts.filter(s => shiftCandidates[s.id]?.length > 0);
+        const startTime = performance.now();
+        let elapsed = 0;
+
+        const unassign = (shift, empId) => {
+            delete current[shift.id];
+            state.employeeHours[empId] -= shift.hours;
+            state.employeeDays[empId].delete(shift.dayIndex);
+            delete state.employeeShiftsByDay[empId][shift.dayIndex];
+        };
+        const assign = (shift, empId) => {
+            current[shift.id] = empId;
+            state.employeeHours[empId] += shift.hours;
+            state.employeeDays[empId].add(shift.dayIndex);
+            state.employeeShiftsByDay[empId][shift.dayIndex] = shift.id;
+        };
+        const requirePairs = (constraints.pairings || []).some(p => p.type === 'mustOverlap');
+        const canTake = (empId, shift) => shiftCandidates[shift.id].includes(empId) &&
+            this.canAssign(empMap[empId], shift, state.employeeHours, state.employeeDays,
+                state.employeeShiftsByDay, state.shiftMap, constraints);
+
+        while (movable.length > 0 && timeLimitMs > 0) {
+            // Checking the clock every step is a noticeable share of a cheap move
+            if (iterations % 64 === 0) {
+                elapsed = performance.now() - startTime;
+                if (elapsed >= timeLimitMs) break;
+                if (iterations % (64 * 64) === 0) this.reportProgress(run);
+            }
+            iterations++;
+
+            // Propose a move as a list of [shift, from, to] changes (to undefined = leave open)
+            const shift = pick(movable);
+            const moveType = random();
+            let changes;
+            if (current[shift.id] === undefined && moveType < 0.5) {
+                // Transfer: an employee drops one of their shifts to take this open one
+                const to = pick(shiftCandidates[shift.id]);
+                const dropId = pick(Object.values(state.employeeShiftsByDay[to]));
+                changes = dropId === undefined
+                    ? [[shift, undefined, to]]
+                    : [[state.shiftMap[dropId], to, undefined], [shift, undefined, to]];
+            } else if (moveType < 0.5 || current[shift.id] === undefined) {
+                const to = pick(shiftCandidates[shift.id]);
+                if (to === current[shift.id]) continue;
+                changes = [[shift, current[shift.id], to]];
+            } else {
+                const other = pick(movable);
+                const a = current[shift.id];
+                const b = current[other.id];
+                if (b === undefined || a === b) continue;
+                changes = [[shift, a, b], [other, b, a]];
+            }
+
+            for (const [s, from] of changes) if (from !== undefined) unassign(s, from);
+            const applied = [];
+            let rejected = false;
+            for (const [s, , to] of changes) {
+                if (to === undefined) continue;
+                if (!canTake(to, s)) {
+                    rejected = true;
+                    break;
+                }
+                assign(s, to);
+                applied.push([s, to]);
+            }
+
+            const revert = () => {
+                for (const [s, to] of applied) unassign(s, to);
+                for (const [s, from] of changes) if (from !== undefined) assign(s, from);
+            };
+
+            if (rejected || (requirePairs && this.findUnpairedShifts(shifts, current, constraints).length > 0)) {
+                revert();
+                continue;
+            }
+
+            const score = this.scoreSchedule(current, ctx);
+            // Hard budget: never move further over a limit
+            const overHours = score.paidHours > ctx.budgetHours && score.paidHours > currentScore.paidHours;
+            const overCost = score.cost > ctx.budgetCost && score.cost > currentScore.cost + 1e-9;
+            if (ctx.budgetMode === 'hard' && (overHours || overCost)) {
+                revert();
+                continue;
+            }
+
+            // Accept improvements always and worse moves with a probability that cools over time
+            const temperature = this.ANNEALING_START_TEMPERATURE * Math.max(0.001, 1 - elapsed / timeLimitMs);
+            const delta = score.total - currentScore.total;
+            if (delta <= 0 || random() < Math.exp(-delta / temperature)) {
+                currentScore = score;
+                accepted++;
+                if (score.total < bestScore.total) {
+                    best = { ...current };
+                    bestScore = score;
+                    run.bestScore = score.total;
+                }
+            } else {
+                revert();
+            }
+        }
+
+        return {
+            assignments: best,
+            score: bestScore,
+            initialScore: initialScore.total,
+            iterations,
+            accepted,
+            timeMs: Math.round(performance.now() - startTime)
+        };
+    },
+
+    /**
+     * Progress tracker shared by the search phases of one scheduling run
+     * Without options it never reports and never times out
+     */
+    createRun(options = {}, totalShifts = 0) {
+        return {
+            onProgress: options.onProgress || null,
+            deadline: options.deadline ?? Infinity,
+            phase: 'solving',
+            total: totalShifts,
+            filled: 0,
+            steps: 0,
+            backtracks: 0,
+            bestScore: null,
+            bestAssignments: {},
+            timedOut: false
+        };
+    },
+
+    /**
+     * Count a search step; every PROGRESS_INTERVAL steps check the deadline and report progress
+     * Returns true once the run is out of time
+     */
+    tick(run) {
+        if (++run.steps % this.PROGRESS_INTERVAL !== 0) return run.timedOut;
+        if (performance.now() >= run.deadline) run.timedOut = true;
+        this.reportProgress(run);
+        return run.timedOut;
+    },
+
+    reportProgress(run) {
+        if (!run.onProgress) return;
+        run.onProgress({
+            phase: run.phase,
+            filled: run.filled,
+            total: run.total,
+            backtracks: run.backtracks,
+            bestScore: run.bestScore,
+            timedOut: run.timedOut
+        });
+    },
+
+    /**
+     * Seeded pseudo-random generator (mulberry32) so the same inputs give the same schedule
+     */
+    createRandom(seed) {
+        let a = seed >>> 0;
+        return () => {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+
+    /**
+     * Build the final schedule result with break calculations
+     */
+    buildScheduleResult(employees, shifts, assignments, breakConfig = {}, constraints = {}) {
+        const empMap = Object.fromEntries(employees.map(e => [e.id, e]));
+        const schedule = [];
+
+        const breakAfterHours = breakConfig.breakAfterHours ?? 4;
+        const breakDurationMinutes = breakConfig.breakDurationMinutes ?? 30;
+
+        for (const shift of shifts) {
+            const empId = assignments[shift.id];
+            if (empId !== undefined) {
+                const emp = empMap[empId];
+
+                // Calculate break time
+                const hasBreak = shift.hours >= breakAfterHours;
+                const breakMinutes = hasBreak ? breakDurationMinutes : 0;
+                const paidHours = this.paidHoursFor(shift.hours, breakAfterHours, breakDurationMinutes);
+
+                schedule.push({
+                    employee: emp.name,
+                    employeeId: emp.id,
+                    employmentStatus: emp.employmentStatus || 'Citizen',
+                    role: emp.role,
+                    shiftRole: shift.role,
+                    crossRole: emp.role !== shift.role,
+                    day: shift.day,
                     dayIndex: shift.dayIndex,
+                    date: shift.date ?? null,
+                    templateId: shift.templateId,
                     shiftName: shift.name,
+                    slot: shift.slot,
+                    headcount: shift.headcount,
                     start: shift.start,
                     end: shift.end,
-                    shift: `${String(shift.start).padStart(2, '0')}:00-${String(shift.end).padStart(2, '0')}:00`,
+                    shift: `${this.formatTime(shift.start)}-${this.formatTime(shift.end)}`,
+                    overnight: shift.overnight,
                     hours: shift.hours,
                     hasBreak: hasBreak,
                     breakMinutes: breakMinutes,
-                    paidHours: paidHours
+                    paidHours: paidHours,
+                    holiday: shift.holiday ?? null,
+                    // Extra paid hours from the holiday premium (e.g. 7.5h at 1.5x = 3.75h)
+                    premiumHours: paidHours * (this.payRate(shift, constraints) - 1),
+                    hourlyWage: this.wageFor(emp, constraints),
+                    cost: paidHours * this.payRate(shift, constraints) * this.wageFor(emp, constraints)
                 });
             }
         }
 
-        return schedule;
+        return this.allocateOvertime(schedule, constraints);
+    },
+
+    /**
+     * Build the list of shifts left open (unassigned) in a best-effort schedule
+     */
+    buildOpenShifts(shifts, assignments, shiftCandidates, budgetCutIds = new Set()) {
+        return shifts
+            .filter(shift => assignments[shift.id] === undefined)
+            .map(shift => ({
+                open: true,
+                day: shift.day,
+                dayIndex: shift.dayIndex,
+                date: shift.date ?? null,
+                holiday: shift.holiday ?? null,
+                templateId: shift.templateId,
+                shiftName: shift.name,
+                slot: shift.slot,
+                headcount: shift.headcount,
+                role: shift.role,
+                priority: shift.priority,
+                start: shift.start,
+                end: shift.end,
+                shift: `${this.formatTime(shift.start)}-${this.formatTime(shift.end)}`,
+                overnight: shift.overnight,
+                hours: shift.hours,
+                paidHours: shift.paidHours ?? shift.hours,
+                // Shifts reopened to fit the dollar budget report what they cost as assigned
+                estimatedCost: shift.trimmedCost ?? shift.estimatedCost ?? 0,
+                reason: budgetCutIds.has(shift.id)
+                    ? 'BUDGET'
+                    : (shiftCandidates[shift.id]?.length ? 'CONSTRAINTS' : 'NO_CANDIDATES')
+            }));
+    },
+
+    /**
+     * Diagnose why shifts can't be filled
+     * Runs a best-effort solve, explains for every open shift which constraint eliminated
+     * each employee, and searches for the smallest single relaxation that fills the week
+     * @param {Object} options - Optional deadline (performance.now() time) after which relaxation trials stop
+     * @returns {Object} { openShifts, problems: [...], suggestions: [...] }
+     */
+    diagnose(employees, shiftTemplates, settings = {}, options = {}) {
+        const base = this.runBestEffort(employees, shiftTemplates, settings, { deadline: options.deadline });
+        const openShifts = base.shifts.filter(s => base.assignments[s.id] === undefined);
+
+        const state = this.buildAssignmentState(employees, base.shifts, base.assignments);
+        const reasonCounts = {};
+
+        const problems = openShifts.map(shift => {
+            const candidates = employees.map(emp => {
+                const reason = this.checkFeasibility(emp, shift, base.constraints) ||
+                    this.checkAssignment(emp, shift, state.employeeHours, state.employeeDays,
+                        state.employeeShiftsByDay, state.shiftMap, base.constraints) ||
+                    'ASSIGNABLE';
+                reasonCounts[reason] = (reasonCounts[reason] || 0) + 1;
+                return {
+                    employeeId: emp.id,
+                    name: emp.name,
+                    reason,
+                    detail: Rules.explain(reason, {
+                        emp, shift, hours: state.employeeHours[emp.id], employeeDays: state.employeeDays,
+                        employeeShiftsByDay: state.employeeShiftsByDay, shiftMap: state.shiftMap, constraints: base.constraints
+                    })
+                };
+            });
+
+            return {
+                day: shift.day,
+                dayIndex: shift.dayIndex,
+                shiftName: shift.name,
+                shift: `${this.formatTime(shift.start)}-${this.formatTime(shift.end)}`,
+                role: shift.role,
+                hours: shift.hours,
+                noCandidates: base.shiftCandidates[shift.id].length === 0,
+                candidates
+            };
+        });
+
+        const suggestions = openShifts.length > 0
+            ? this.findRelaxations(employees, shiftTemplates, settings, reasonCounts, problems, options.deadline)
+            : [];
+
+        // Opening hours with no manager, and where each manager is instead
+        const coverageGaps = this.findCoverageGaps(employees, base.shifts, base.assignments, base.constraints).map(gap => ({
+            ...gap,
+            managers: employees.filter(e => this.isManager(e, base.constraints)).map(emp => {
+                const shiftId = state.employeeShiftsByDay[emp.id][gap.dayIndex];
+                const shift = shiftId !== undefined ? state.shiftMap[shiftId] : null;
+                return {
+                    employeeId: emp.id,
+                    name: emp.name,
+                    detail: shift
+                        ? `Working ${shift.name} ${this.formatTime(shift.start)}-${this.formatTime(shift.end)}`
+                        : 'Not scheduled that day'
+                };
+            })
+        }));
+
+        if (coverageGaps.length > 0) {
+            suggestions.push({
+                type: 'coverage',
+                label: 'Add or extend a shift for a managing role (or make a manager available) over the uncovered hours',
+                gaps: coverageGaps.length,
+                solves: false
+            });
+        }
+
+        // Employees below their minimum hours, and why each shift they could have taken didn't go to them
+        const hoursShortfalls = this.findHoursShortfalls(employees, base.shifts, base.assignments, base.constraints).map(shortfall => {
+            const emp = employees.find(e => e.id === shortfall.employeeId);
+            const reasons = {};
+            for (const shift of base.shifts) {
+                if (base.assignments[shift.id] === emp.id || this.roleMatch(emp, shift, base.constraints) === null) continue;
+                const reason = this.checkFeasibility(emp, shift, base.constraints) ||
+                    this.checkAssignment(emp, shift, state.employeeHours, state.employeeDays,
+                        state.employeeShiftsByDay, state.shiftMap, base.constraints) ||
+                    (base.assignments[shift.id] !== undefined ? 'TAKEN' : 'ASSIGNABLE');
+                reasons[reason] = (reasons[reason] || 0) + 1;
+            }
+            return {
+                ...shortfall,
+                possibleHours: this.bestCaseHours(emp, base.shifts, base.shiftCandidates, base.constraints),
+                reasons: Object.entries(reasons)
+                    .sort((a, b) => b[1] - a[1])
+                    .map(([code, count]) => ({ code, label: Rules.labelFor(code), count }))
+            };
+        });
+
+        if (hoursShortfalls.some(s => s.possibleHours < s.minHours)) {
+            suggestions.push({
+                type: 'minHours',
+                label: 'Widen availability, add shifts for their role, or lower the minimum for employees who can\'t reach it',
+                employees: hoursShortfalls.filter(s => s.possibleHours < s.minHours).length,
+                solves: false
+            });
+        }
+
+        return { openShifts: openShifts.length, totalShifts: base.shifts.length, problems, suggestions, coverageGaps, hoursShortfalls };
+    },
+
+    /**
+     * Run the best-effort pipeline and return the raw shifts and assignments
+     * Shifts cut by a hard budget are intentional and left out of the returned shifts
+     * @param {Object} options - Optional deadline (performance.now() time) after which the search stops
+     */
+    runBestEffort(employees, shiftTemplates, settings = {}, options = {}) {
+        const minShiftHours = settings.minShiftHours ?? 4;
+        const week = this.scheduleWeek(settings);
+        const shifts = this.generateWeeklyShifts(shiftTemplates, week.days[0], week.start, this.resolveHolidays(settings.holidays, week.start))
+            .filter(s => s.hours >= minShiftHours);
+        shifts.forEach(s => {
+            s.paidHours = this.paidHoursFor(s.hours, settings.breakAfterHours ?? 4, settings.breakDurationMinutes ?? 30);
+        });
+        const constraints = this.getConstraints(settings, employees);
+        const { feasible, shiftCandidates, employeeShifts } = this.buildFeasibilityMatrix(employees, shifts, constraints);
+        this.estimateShiftCosts(employees, shifts, shiftCandidates, constraints);
+        this.indexPairingPartners(shifts, employeeShifts, constraints);
+        const limits = this.budgetLimits(settings);
+        const budgetCuts = (settings.budgetMode ?? 'soft') === 'hard'
+            ? this.selectBudgetCuts(shifts, limits.hours, limits.cost)
+            : [];
+        const cutIds = new Set(budgetCuts.map(s => s.id));
+        const planned = shifts.filter(s => !cutIds.has(s.id));
+        const run = this.createRun({ deadline: options.deadline }, planned.length);
+        const assignments = this.solvePartial(employees, planned, feasible, shiftCandidates, employeeShifts, constraints, run);
+        this.dropUnpairedShifts(planned, assignments, constraints);
+        if ((settings.budgetMode ?? 'soft') === 'hard') {
+            const trimmed = new Set(this.trimToCostBudget(employees, planned, assignments, constraints, limits.cost).map(s => s.id));
+            return { shifts: planned.filter(s => !trimmed.has(s.id)), shiftCandidates, assignments, constraints };
+        }
+        return { shifts: planned, shiftCandidates, assignments, constraints };
+    },
+
+    /**
+     * Rebuild the solver's per-employee tracking from a finished set of assignments
+     */
+    buildAssignmentState(employees, shifts, assignments) {
+        const shiftMap = Object.fromEntries(shifts.map(s => [s.id, s]));
+        const employeeHours = {};
+        const employeeDays = {};
+        const employeeShiftsByDay = {};
+
+        for (const emp of employees) {
+            employeeHours[emp.id] = 0;
+            employeeDays[emp.id] = new Set();
+            employeeShiftsByDay[emp.id] = {};
+        }
+
+        for (const [shiftId, empId] of Object.entries(assignments)) {
+            const shift = shiftMap[shiftId];
+            employeeHours[empId] += shift.hours;
+            employeeDays[empId].add(shift.dayIndex);
+            employeeShiftsByDay[empId][shift.dayIndex] = shift.id;
+        }
+
+        return { shiftMap, employeeHours, employeeDays, employeeShiftsByDay };
+    },
+
+    /**
+     * Try single-constraint relaxations in increasing size and keep, for each one,
+     * the smallest change that fills the most open shifts
+     */
+    findRelaxations(employees, shiftTemplates, settings, reasonCounts, problems, deadline = Infinity) {
+        const trialSettings = { ...settings, searchLimit: this.DIAGNOSIS_SEARCH_LIMIT };
+        const countOpen = (emps, trial) => {
+            const run = this.runBestEffort(emps, shiftTemplates, trial, { deadline });
+            return run.shifts.length - Object.keys(run.assignments).length;
+        };
+        if (performance.now() >= deadline) return [];
+        const baselineOpen = countOpen(employees, trialSettings);
+
+        // Each relaxation is a list of increasingly relaxed values to try
+        const relaxations = [];
+        const minRestHours = settings.minRestHours ?? 10;
+        const maxConsecutiveDays = settings.maxConsecutiveDays ?? 5;
+        const intlMax = settings.internationalStudentMaxHours ?? 24;
+
+        if (reasonCounts.MAX_CONSECUTIVE_DAYS) {
+            relaxations.push({
+                type: 'setting', key: 'maxConsecutiveDays', label: 'Max consecutive days', from: maxConsecutiveDays,
+                values: this.range(maxConsecutiveDays + 1, 7, 1)
+            });
+        }
+        if (reasonCounts.MIN_REST) {
+            relaxations.push({
+                type: 'setting', key: 'minRestHours', label: 'Min rest hours', from: minRestHours,
+                values: this.range(minRestHours - 1, 0, -1)
+            });
+        }
+        if (reasonCounts.INTL_STUDENT_CAP) {
+            relaxations.push({
+                type: 'setting', key: 'internationalStudentMaxHours', label: 'International student max hours', from: intlMax,
+                values: this.range(intlMax + 2, 40, 2)
+            });
+        }
+
+        // Per-employee max hours, only for employees that hit their cap on an open shift
+        const cappedIds = new Set();
+        problems.forEach(p => p.candidates.forEach(c => {
+            if (c.reason === 'MAX_HOURS') cappedIds.add(c.employeeId);
+        }));
+        for (const emp of employees.filter(e => cappedIds.has(e.id))) {
+            relaxations.push({
+                type: 'employee', key: 'maxHours', employeeId: emp.id, label: `${emp.name} max hours`, from: emp.maxHours,
+                values: this.range(emp.maxHours + 2, 60, 2)
+            });
+        }
+
+        const suggestions = [];
+        for (const relax of relaxations) {
+            let best = null;
+            for (const value of relax.values) {
+                if (performance.now() >= deadline) break;
+                const open = relax.type === 'setting'
+                    ? countOpen(employees, { ...trialSettings, [relax.key]: value })
+                    : countOpen(employees.map(e => e.id === relax.employeeId ? { ...e, [relax.key]: value } : e), trialSettings);
+                if (open < baselineOpen && (!best || open < best.openShifts)) {
+                    best = { value, openShifts: open };
+                }
+                if (open === 0) break;
+            }
+
+            if (best) {
+                suggestions.push({
+                    type: relax.type,
+                    key: relax.key,
+                    employeeId: relax.employeeId,
+                    label: relax.label,
+                    from: relax.from,
+                    to: best.value,
+                    openShifts: best.openShifts,
+                    filled: baselineOpen - best.openShifts,
+                    solves: best.openShifts === 0
+                });
+            }
+        }
+
+        suggestions.sort((a, b) =>
+            (b.solves - a.solves) || (a.openShifts - b.openShifts) || (Math.abs(a.to - a.from) - Math.abs(b.to - b.from))
+        );
+
+        // Staffing shortfall per role, for open shifts no setting change can reach
+        if (!suggestions.some(sg => sg.solves)) {
+            const openByRole = {};
+            problems.forEach(p => { openByRole[p.role] = (openByRole[p.role] || 0) + 1; });
+            for (const [role, count] of Object.entries(openByRole)) {
+                suggestions.push({
+                    type: 'staffing',
+                    key: 'role',
+                    label: `Add or make available another ${role} employee`,
+                    role,
+                    openShifts: count,
+                    solves: false
+                });
+            }
+        }
+
+        return suggestions;
+    },
+
+    /**
+     * Inclusive numeric range from start towards end by step
+     */
+    range(start, end, step) {
+        const values = [];
+        for (let v = start; step > 0 ? v <= end : v >= end; v += step) values.push(v);
+        return values;
     },
 
     /**
      * Build employee hours summary
      */
-    buildEmployeeSummary(employees, schedule) {
+    buildEmployeeSummary(employees, schedule, constraints = {}) {
+        const empMap = Object.fromEntries(employees.map(e => [e.id, e]));
         const hoursByEmp = {};
         const paidHoursByEmp = {};
+        const costByEmp = {};
+        const overtimeByEmp = {};
         const daysByEmp = {};
+        const prefsByEmp = {};
 
         for (const s of schedule) {
             hoursByEmp[s.employeeId] = (hoursByEmp[s.employeeId] || 0) + s.hours;
             paidHoursByEmp[s.employeeId] = (paidHoursByEmp[s.employeeId] || 0) + s.paidHours;
+            costByEmp[s.employeeId] = (costByEmp[s.employeeId] || 0) + (s.cost || 0);
+            overtimeByEmp[s.employeeId] = (overtimeByEmp[s.employeeId] || 0) + (s.overtimeHours || 0);
             if (!daysByEmp[s.employeeId]) daysByEmp[s.employeeId] = new Set();
             daysByEmp[s.employeeId].add(s.day);
+
+            // Count shifts the employee prefers or would rather avoid
+            const pref = this.preferenceFor(empMap[s.employeeId], s);
+            const counts = prefsByEmp[s.employeeId] || (prefsByEmp[s.employeeId] = { shifts: 0, preferred: 0, avoided: 0 });
+            counts.shifts++;
+            if (pref > 0) counts.preferred++;
+            if (pref < 0) counts.avoided++;
         }
 
+        // Satisfaction: 100% if every shift is preferred, 50% if all neutral, 0% if all avoided
+        const preferenceSummary = emp => {
+            if (!this.hasPreferences(emp)) return null;
+            const counts = prefsByEmp[emp.id] || { shifts: 0, preferred: 0, avoided: 0 };
+            return {
+                preferred: counts.preferred,
+                avoided: counts.avoided,
+                satisfaction: counts.shifts > 0
+                    ? Math.round(100 * (counts.shifts + counts.preferred - counts.avoided) / (2 * counts.shifts))
+                    : null
+            };
+        };
+
         return employees.map(emp => ({
             id: emp.id,
             name: emp.name,
@@ -381,8 +2464,13 @@ const Scheduler = {
             scheduledHours: hoursByEmp[emp.id] || 0,
             scheduledPaidHours: paidHoursByEmp[emp.id] || 0,
             scheduledDays: daysByEmp[emp.id] ? daysByEmp[emp.id].size : 0,
+            hourlyWage: this.wageFor(emp, constraints),
+            scheduledCost: costByEmp[emp.id] || 0,
+            overtimeHours: overtimeByEmp[emp.id] || 0,
             targetHours: emp.targetHours,
-            maxHours: emp.maxHours
+            minHours: this.minHoursFor(emp, constraints),
+            maxHours: emp.maxHours,
+            preferences: preferenceSummary(emp)
         }));
     }
 };
@@ -7,45 +7,95 @@ const Storage = {
     KEYS: {
         EMPLOYEES: 'scheduler_employees',
         SHIFTS: 'scheduler_shifts',
-        SCHEDULE: 'scheduler_last_schedule',
+        SCHEDULE: 'scheduler_last_schedule', // Before the history archive; moved into it by init()
+        HISTORY: 'scheduler_schedule_history',
+        OPEN_SCHEDULE: 'scheduler_open_schedule',
         ROLES: 'scheduler_roles',
-        SETTINGS: 'scheduler_settings'
+        SETTINGS: 'scheduler_settings',
+        TIME_OFF: 'scheduler_time_off',
+        PAIRINGS: 'scheduler_pairings',
+        HOLIDAYS: 'scheduler_holidays',
+        REQUIREMENTS: 'scheduler_requirements'
     },
 
     // Default roles
     DEFAULT_ROLES: [
-        { id: 1, name: 'StoreManager', label: 'Store Manager', color: '#dc2626', canManage: true, priority: 1 },
-        { id: 2, name: 'ATL', label: 'Assistant Team Leader', color: '#7c3aed', canManage: true, priority: 2 },
-        { id: 3, name: 'TL', label: 'Team Leader', color: '#f59e0b', canManage: true, priority: 3 },
-        { id: 4, name: 'FullTime', label: 'Full Time', color: '#003F24', canManage: false, priority: 4 },
-        { id: 5, name: 'PartTime', label: 'Part Time', color: '#0891b2', canManage: false, priority: 5 }
+        { id: 1, name: 'StoreManager', label: 'Store Manager', color: '#dc2626', canManage: true, priority: 1, hourlyWage: 28 },
+        { id: 2, name: 'ATL', label: 'Assistant Team Leader', color: '#7c3aed', canManage: true, priority: 2, hourlyWage: 22 },
+        { id: 3, name: 'TL', label: 'Team Leader', color: '#f59e0b', canManage: true, priority: 3, hourlyWage: 19.5 },
+        { id: 4, name: 'FullTime', label: 'Full Time', color: '#003F24', canManage: false, priority: 4, hourlyWage: 17.6 },
+        { id: 5, name: 'PartTime', label: 'Part Time', color: '#0891b2', canManage: false, priority: 5, hourlyWage: 17.2 }
     ],
 
     // Default scheduling settings
     DEFAULT_SETTINGS: {
         minRestHours: 10,           // Minimum hours between shifts
         maxConsecutiveDays: 5,      // Max days in a row an employee can work
-        weekStartsOn: 'Monday',
+        minConsecutiveDaysOff: 0,   // Min run of days off in a row each week (0 = off)
+        maxWeekendsWorked: 1,       // Weekend rotation: max weekends worked...
+        weekendRotationWeeks: 1,    // ...per this many weeks (1 = no rotation)
+        weekendRotationRoles: [],   // Roles the weekend rotation applies to (empty = everyone)
+        weekStartsOn: 'Monday',     // First day of the scheduled week (and of the grid)
+        scheduleWeekStart: null,    // Week picked on the Schedule tab ('YYYY-MM-DD'), null = the coming week
+        horizonWeeks: 1,            // Weeks scheduled per run (1-4), each chained onto the one before
+        storeHours: {               // Opening hours per day ([open, close] or null when closed), for manager coverage
+            Monday: [8, 21], Tuesday: [8, 21], Wednesday: [8, 21], Thursday: [8, 21],
+            Friday: [8, 21], Saturday: [8, 21], Sunday: [10, 18]
+        },
         storeWeeklyHours: 280,      // Total store hours budget per week
+        budgetMode: 'soft',         // 'off' = display only, 'soft' = warn and suggest cuts, 'hard' = leave shifts open
+        budgetBasis: 'hours',       // Which budgets the solver respects: 'hours', 'cost' or 'both'
+        weeklyCostBudget: 5000,     // Total store wage budget per week in dollars
+        overtimeThresholdHours: 44, // Weekly paid hours after which overtime is paid (Ontario ESA: 44)
+        overtimePremium: 1.5,       // Overtime pay multiplier
+        overtimeMode: 'minimize',   // 'allow' = track only, 'minimize' = penalise in the score, 'forbid' = never schedule
+        holidayPremium: 1.5,        // Pay multiplier for hours worked on a holiday
         minShiftHours: 4,           // Minimum shift length in hours
+        maxShiftHours: 8,           // Maximum length of shifts generated from staffing requirements
+        shiftSource: 'templates',   // 'templates' = shift templates, 'requirements' = shifts generated from hourly requirements
         breakAfterHours: 4,         // Hours worked before break required
         breakDurationMinutes: 30,   // Unpaid break duration in minutes
-        internationalStudentMaxHours: 24  // Weekly cap for international students
+        internationalStudentMaxHours: 24, // Weekly cap for international students
+        internationalStudentBreakMaxHours: 40, // Weekly cap for international students on scheduled break
+        rules: {},                  // Compliance rule toggles by rule id (see rules.js), enabled unless false
+        allowPartialSchedule: false, // Leave unfillable shifts open instead of failing
+        higherRolesCoverLower: false, // Let senior roles (lower role priority number) cover junior-role shifts
+        optimizeTimeMs: 500,        // Time spent improving the schedule score after solving (0 = off)
+        historyLimit: 20,           // Unpublished schedules kept in the history archive (oldest are dropped first)
+        solverTimeoutSeconds: 30    // Hard limit on a scheduler run; the best schedule so far is returned
     },
 
-    // Default shift template
+    // Default shift template (headcount = staff required on the shift each day,
+    // priority = 'high' | 'normal' | 'low', low-priority shifts are cut first to meet the budget)
     DEFAULT_SHIFTS: [
-        { id: 1, name: 'Opener-ATL', start: 6, end: 14, role: 'ATL' },
-        { id: 2, name: 'Morning-FT', start: 6, end: 14, role: 'FullTime' },
-        { id: 3, name: 'Day-FT', start: 10, end: 18, role: 'FullTime' },
-        { id: 4, name: 'Afternoon-PT', start: 13, end: 18, role: 'PartTime' },
-        { id: 5, name: 'Closer-ATL', start: 14, end: 21, role: 'ATL' },
-        { id: 6, name: 'Closer-PT', start: 17, end: 21, role: 'PartTime' },
-        { id: 7, name: 'Morning-TL', start: 8, end: 16, role: 'TL' },
-        { id: 8, name: 'Closer-TL', start: 12, end: 20, role: 'TL' }
+        { id: 1, name: 'Opener-ATL', start: 6, end: 14, role: 'ATL', headcount: 1 },
+        { id: 2, name: 'Morning-FT', start: 6, end: 14, role: 'FullTime', headcount: 1 },
+        { id: 3, name: 'Day-FT', start: 10, end: 18, role: 'FullTime', headcount: 1 },
+        { id: 4, name: 'Afternoon-PT', start: 13, end: 18, role: 'PartTime', headcount: 1 },
+        { id: 5, name: 'Closer-ATL', start: 14, end: 21, role: 'ATL', headcount: 1 },
+        { id: 6, name: 'Closer-PT', start: 17, end: 21, role: 'PartTime', headcount: 1 },
+        { id: 7, name: 'Morning-TL', start: 8, end: 16, role: 'TL', headcount: 1 },
+        { id: 8, name: 'Closer-TL', start: 12, end: 20, role: 'TL', headcount: 1 }
+    ],
+
+    // Ontario statutory holidays (Employment Standards Act), worked out per year by Scheduler.holidayDate
+    // rule: 'fixed' (month/day), 'nthWeekday' (nth weekday of the month), 'mondayBefore' (last Monday
+    // before month/day), 'easter' (days from Easter Sunday) or 'date' (a one-off date)
+    // behaviour: 'closed' = no shifts, 'reduced' = store open for `hours` with only templateIds running
+    // (null = every template that fits inside the hours), 'normal' = usual shifts; worked hours get holiday pay
+    DEFAULT_HOLIDAYS: [
+        { id: 1, name: "New Year's Day", rule: 'fixed', month: 1, day: 1, behaviour: 'closed' },
+        { id: 2, name: 'Family Day', rule: 'nthWeekday', month: 2, weekday: 'Monday', n: 3, behaviour: 'reduced', hours: [10, 18] },
+        { id: 3, name: 'Good Friday', rule: 'easter', offset: -2, behaviour: 'closed' },
+        { id: 4, name: 'Victoria Day', rule: 'mondayBefore', month: 5, day: 25, behaviour: 'reduced', hours: [10, 18] },
+        { id: 5, name: 'Canada Day', rule: 'fixed', month: 7, day: 1, behaviour: 'reduced', hours: [10, 18] },
+        { id: 6, name: 'Labour Day', rule: 'nthWeekday', month: 9, weekday: 'Monday', n: 1, behaviour: 'reduced', hours: [10, 18] },
+        { id: 7, name: 'Thanksgiving', rule: 'nthWeekday', month: 10, weekday: 'Monday', n: 2, behaviour: 'closed' },
+        { id: 8, name: 'Christmas Day', rule: 'fixed', month: 12, day: 25, behaviour: 'closed' },
+        { id: 9, name: 'Boxing Day', rule: 'fixed', month: 12, day: 26, behaviour: 'normal' }
     ],
 
-    // Default employees
+    // Default employees (availability = list of [start, end] windows per day, or null when unavailable)
     DEFAULT_EMPLOYEES: [
         {
             id: 1,
@@ -55,8 +105,8 @@ const Storage = {
             maxHours: 44,
             targetHours: 40,
             availability: {
-                Monday: [6, 22], Tuesday: [6, 22], Wednesday: [6, 22],
-                Thursday: [6, 22], Friday: [6, 22], Saturday: [6, 22], Sunday: [6, 22]
+                Monday: [[6, 22]], Tuesday: [[6, 22]], Wednesday: [[6, 22]],
+                Thursday: [[6, 22]], Friday: [[6, 22]], Saturday: [[6, 22]], Sunday: [[6, 22]]
             }
         },
         {
@@ -67,8 +117,8 @@ const Storage = {
             maxHours: 44,
             targetHours: 40,
             availability: {
-                Monday: [6, 22], Tuesday: [6, 22], Wednesday: [6, 22],
-                Thursday: [6, 22], Friday: [6, 22], Saturday: [6, 22], Sunday: [6, 22]
+                Monday: [[6, 22]], Tuesday: [[6, 22]], Wednesday: [[6, 22]],
+                Thursday: [[6, 22]], Friday: [[6, 22]], Saturday: [[6, 22]], Sunday: [[6, 22]]
             }
         },
         {
@@ -79,8 +129,8 @@ const Storage = {
             maxHours: 40,
             targetHours: 35,
             availability: {
-                Monday: [6, 22], Tuesday: [6, 22], Wednesday: [6, 22],
-                Thursday: [6, 22], Friday: [6, 22], Saturday: [6, 22], Sunday: [6, 22]
+                Monday: [[6, 22]], Tuesday: [[6, 22]], Wednesday: [[6, 22]],
+                Thursday: [[6, 22]], Friday: [[6, 22]], Saturday: [[6, 22]], Sunday: [[6, 22]]
             }
         },
         {
@@ -91,8 +141,8 @@ const Storage = {
             maxHours: 40,
             targetHours: 38,
             availability: {
-                Monday: [6, 18], Tuesday: [6, 18], Wednesday: [6, 18],
-                Thursday: [6, 18], Friday: [6, 18], Saturday: null, Sunday: null
+                Monday: [[6, 18]], Tuesday: [[6, 18]], Wednesday: [[6, 18]],
+                Thursday: [[6, 18]], Friday: [[6, 18]], Saturday: null, Sunday: null
             }
         },
         {
@@ -103,8 +153,8 @@ const Storage = {
             maxHours: 40,
             targetHours: 38,
             availability: {
-                Monday: [6, 21], Tuesday: [6, 21], Wednesday: [6, 21],
-                Thursday: [6, 21], Friday: [6, 21], Saturday: [6, 21], Sunday: [6, 21]
+                Monday: [[6, 21]], Tuesday: [[6, 21]], Wednesday: [[6, 21]],
+                Thursday: [[6, 21]], Friday: [[6, 21]], Saturday: [[6, 21]], Sunday: [[6, 21]]
             }
         },
         {
@@ -115,8 +165,8 @@ const Storage = {
             maxHours: 40,
             targetHours: 36,
             availability: {
-                Monday: null, Tuesday: null, Wednesday: [6, 18],
-                Thursday: [6, 18], Friday: [6, 18], Saturday: [6, 18], Sunday: [6, 18]
+                Monday: null, Tuesday: null, Wednesday: [[6, 18]],
+                Thursday: [[6, 18]], Friday: [[6, 18]], Saturday: [[6, 18]], Sunday: [[6, 18]]
             }
         },
         {
@@ -127,8 +177,8 @@ const Storage = {
             maxHours: 40,
             targetHours: 38,
             availability: {
-                Monday: [6, 18], Tuesday: [6, 18], Wednesday: null,
-                Thursday: null, Friday: [6, 18], Saturday: [6, 18], Sunday: [6, 18]
+                Monday: [[6, 18]], Tuesday: [[6, 18]], Wednesday: null,
+                Thursday: null, Friday: [[6, 18]], Saturday: [[6, 18]], Sunday: [[6, 18]]
             }
         },
         {
@@ -140,8 +190,8 @@ const Storage = {
             maxHours: 24,
             targetHours: 20,
             availability: {
-                Monday: null, Tuesday: null, Wednesday: [10, 21],
-                Thursday: [10, 21], Friday: [10, 21], Saturday: [8, 21], Sunday: [8, 21]
+                Monday: null, Tuesday: null, Wednesday: [[10, 21]],
+                Thursday: [[10, 21]], Friday: [[10, 21]], Saturday: [[8, 21]], Sunday: [[8, 21]]
             }
         },
         {
@@ -152,8 +202,8 @@ const Storage = {
             maxHours: 24,
             targetHours: 22,
             availability: {
-                Monday: [11, 21], Tuesday: [11, 21], Wednesday: [11, 21],
-                Thursday: [11, 21], Friday: [11, 21], Saturday: [8, 21], Sunday: null
+                Monday: [[11, 21]], Tuesday: [[11, 21]], Wednesday: [[11, 21]],
+                Thursday: [[11, 21]], Friday: [[11, 21]], Saturday: [[8, 21]], Sunday: null
             }
         },
         {
@@ -165,7 +215,7 @@ const Storage = {
             targetHours: 16,
             availability: {
                 Monday: null, Tuesday: null, Wednesday: null,
-                Thursday: null, Friday: [8, 18], Saturday: [8, 18], Sunday: [8, 18]
+                Thursday: null, Friday: [[8, 18]], Saturday: [[8, 18]], Sunday: [[8, 18]]
             }
         },
         {
@@ -178,7 +228,7 @@ const Storage = {
             targetHours: 18,
             availability: {
                 Monday: null, Tuesday: null, Wednesday: null,
-                Thursday: [12, 21], Friday: [12, 21], Saturday: [10, 21], Sunday: [10, 21]
+                Thursday: [[12, 21]], Friday: [[12, 21]], Saturday: [[10, 21]], Sunday: [[10, 21]]
             }
         },
         {
@@ -189,7 +239,7 @@ const Storage = {
             maxHours: 24,
             targetHours: 20,
             availability: {
-                Monday: [8, 21], Tuesday: [8, 21], Wednesday: [8, 21],
+                Monday: [[8, 21]], Tuesday: [[8, 21]], Wednesday: [[8, 21]],
                 Thursday: null, Friday: null, Saturday: null, Sunday: null
             }
         }
@@ -209,6 +259,15 @@ const Storage = {
         if (!localStorage.getItem(this.KEYS.SETTINGS)) {
             this.saveSettings(this.DEFAULT_SETTINGS);
         }
+        if (!localStorage.getItem(this.KEYS.HOLIDAYS)) {
+            this.saveHolidays(this.DEFAULT_HOLIDAYS);
+        }
+        // A schedule saved before the history archive becomes its first entry
+        const legacySchedule = localStorage.getItem(this.KEYS.SCHEDULE);
+        if (legacySchedule) {
+            this.addToHistory(JSON.parse(legacySchedule), 'Last schedule');
+            localStorage.removeItem(this.KEYS.SCHEDULE);
+        }
     },
 
     // =========================================================================
@@ -255,11 +314,13 @@ const Storage = {
         // Check if role is in use
         const employees = this.getEmployees();
         const shifts = this.getShifts();
-        const inUse = employees.some(e => e.role === roleToDelete.name) ||
-            shifts.some(s => s.role === roleToDelete.name);
+        const requirements = this.getRequirements()[roleToDelete.name] || {};
+        const inUse = employees.some(e => e.role === roleToDelete.name || (e.qualifiedRoles || []).includes(roleToDelete.name)) ||
+            shifts.some(s => s.role === roleToDelete.name) ||
+            Object.values(requirements).some(counts => counts.some(n => n > 0));
 
         if (inUse) {
-            return { error: 'Role is in use by employees or shifts' };
+            return { error: 'Role is in use by employees, shifts or staffing requirements' };
         }
 
         this.saveRoles(roles.filter(r => r.id !== id));
@@ -271,6 +332,7 @@ const Storage = {
         const employees = this.getEmployees();
         employees.forEach(e => {
             if (e.role === oldName) e.role = newName;
+            if (e.qualifiedRoles) e.qualifiedRoles = e.qualifiedRoles.map(r => r === oldName ? newName : r);
         });
         this.saveEmployees(employees);
 
@@ -280,6 +342,14 @@ const Storage = {
             if (s.role === oldName) s.role = newName;
         });
         this.saveShifts(shifts);
+
+        // Move staffing requirements
+        const requirements = this.getRequirements();
+        if (requirements[oldName]) {
+            requirements[newName] = requirements[oldName];
+            delete requirements[oldName];
+            this.saveRequirements(requirements);
+        }
     },
 
     getRoleByName(name) {
@@ -310,7 +380,18 @@ const Storage = {
     // =========================================================================
     getEmployees() {
         const data = localStorage.getItem(this.KEYS.EMPLOYEES);
-        return data ? JSON.parse(data) : this.DEFAULT_EMPLOYEES;
+        return data ? JSON.parse(data).map(e => this._normalizeAvailability(e)) : this.DEFAULT_EMPLOYEES;
+    },
+
+    // Older data stored a single [start, end] range per day; wrap it as a one-window list
+    _normalizeAvailability(employee) {
+        if (!employee.availability) return employee;
+        for (const [day, value] of Object.entries(employee.availability)) {
+            if (Array.isArray(value) && typeof value[0] === 'number') {
+                employee.availability[day] = [value];
+            }
+        }
+        return employee;
     },
 
     saveEmployees(employees) {
@@ -338,6 +419,8 @@ const Storage = {
     deleteEmployee(id) {
         const employees = this.getEmployees().filter(e => e.id !== id);
         this.saveEmployees(employees);
+        this.saveTimeOff(this.getTimeOff().filter(r => r.employeeId !== id));
+        this.savePairings(this.getPairings().filter(p => p.employeeId !== id && p.partnerId !== id));
     },
 
     // =========================================================================
@@ -355,6 +438,7 @@ const Storage = {
     addShift(shift) {
         const shifts = this.getShifts();
         shift.id = Math.max(0, ...shifts.map(s => s.id)) + 1;
+        shift.headcount = Math.max(1, shift.headcount || 1);
         shifts.push(shift);
         this.saveShifts(shifts);
         return shift;
@@ -373,18 +457,251 @@ const Storage = {
     deleteShift(id) {
         const shifts = this.getShifts().filter(s => s.id !== id);
         this.saveShifts(shifts);
+        // Reduced holidays stop listing the deleted template
+        this.saveHolidays(this.getHolidays().map(h =>
+            h.templateIds ? { ...h, templateIds: h.templateIds.filter(t => t !== id) } : h));
     },
 
     // =========================================================================
-    // SCHEDULE
+    // TIME OFF
+    // Requests: { id, employeeId, startDate, endDate ('YYYY-MM-DD', inclusive),
+    //   startTime, endTime (hours each day, null = all day), reason, status }
+    // status is 'pending' | 'approved' | 'denied'; only approved requests block shifts
     // =========================================================================
-    getLastSchedule() {
-        const data = localStorage.getItem(this.KEYS.SCHEDULE);
+    getTimeOff() {
+        const data = localStorage.getItem(this.KEYS.TIME_OFF);
+        return data ? JSON.parse(data) : [];
+    },
+
+    saveTimeOff(requests) {
+        localStorage.setItem(this.KEYS.TIME_OFF, JSON.stringify(requests));
+    },
+
+    addTimeOff(request) {
+        const requests = this.getTimeOff();
+        request.id = Math.max(0, ...requests.map(r => r.id)) + 1;
+        request.status = request.status || 'pending';
+        requests.push(request);
+        this.saveTimeOff(requests);
+        return request;
+    },
+
+    updateTimeOff(id, updates) {
+        const requests = this.getTimeOff();
+        const idx = requests.findIndex(r => r.id === id);
+        if (idx !== -1) {
+            requests[idx] = { ...requests[idx], ...updates };
+            this.saveTimeOff(requests);
+        }
+        return requests[idx];
+    },
+
+    deleteTimeOff(id) {
+        this.saveTimeOff(this.getTimeOff().filter(r => r.id !== id));
+    },
+
+    // =========================================================================
+    // PAIRINGS
+    // Rules: { id, type, employeeId, partnerId, closingOnly, startDate, endDate, note }
+    // type 'mustOverlap': every shift employeeId works must overlap one partnerId works
+    //   (e.g. a new hire and their trainer); 'mustNotOverlap': the two are never on at once,
+    //   or never close together when closingOnly is set
+    // startDate/endDate ('YYYY-MM-DD', inclusive) limit the rule to a date range; null = always
+    // =========================================================================
+    getPairings() {
+        const data = localStorage.getItem(this.KEYS.PAIRINGS);
+        return data ? JSON.parse(data) : [];
+    },
+
+    savePairings(pairings) {
+        localStorage.setItem(this.KEYS.PAIRINGS, JSON.stringify(pairings));
+    },
+
+    addPairing(pairing) {
+        const pairings = this.getPairings();
+        pairing.id = Math.max(0, ...pairings.map(p => p.id)) + 1;
+        pairings.push(pairing);
+        this.savePairings(pairings);
+        return pairing;
+    },
+
+    updatePairing(id, updates) {
+        const pairings = this.getPairings();
+        const idx = pairings.findIndex(p => p.id === id);
+        if (idx !== -1) {
+            pairings[idx] = { ...pairings[idx], ...updates };
+            this.savePairings(pairings);
+        }
+        return pairings[idx];
+    },
+
+    deletePairing(id) {
+        this.savePairings(this.getPairings().filter(p => p.id !== id));
+    },
+
+    // =========================================================================
+    // HOLIDAYS
+    // Holidays: see DEFAULT_HOLIDAYS for the shape
+    // =========================================================================
+    getHolidays() {
+        const data = localStorage.getItem(this.KEYS.HOLIDAYS);
+        return data ? JSON.parse(data) : this.DEFAULT_HOLIDAYS;
+    },
+
+    saveHolidays(holidays) {
+        localStorage.setItem(this.KEYS.HOLIDAYS, JSON.stringify(holidays));
+    },
+
+    addHoliday(holiday) {
+        const holidays = this.getHolidays();
+        holiday.id = Math.max(0, ...holidays.map(h => h.id)) + 1;
+        holidays.push(holiday);
+        this.saveHolidays(holidays);
+        return holiday;
+    },
+
+    updateHoliday(id, updates) {
+        const holidays = this.getHolidays();
+        const idx = holidays.findIndex(h => h.id === id);
+        if (idx !== -1) {
+            holidays[idx] = { ...holidays[idx], ...updates };
+            this.saveHolidays(holidays);
+        }
+        return holidays[idx];
+    },
+
+    deleteHoliday(id) {
+        this.saveHolidays(this.getHolidays().filter(h => h.id !== id));
+    },
+
+    // =========================================================================
+    // STAFFING REQUIREMENTS
+    // Requirements: { [role]: { [day]: [staff needed in each hour 0-23] } }
+    // =========================================================================
+    getRequirements() {
+        const data = localStorage.getItem(this.KEYS.REQUIREMENTS);
+        return data ? JSON.parse(data) : {};
+    },
+
+    saveRequirements(requirements) {
+        localStorage.setItem(this.KEYS.REQUIREMENTS, JSON.stringify(requirements));
+    },
+
+    // =========================================================================
+    // SCHEDULE HISTORY
+    // Entries, newest first: { id, name, createdAt, weekStart, weekCount, settings, schedule, published }
+    // schedule is one weekly result, or { horizon: true, weeks: [...] } for a multi-week run,
+    // and settings the saved settings it was generated with
+    // =========================================================================
+    getHistory() {
+        const data = localStorage.getItem(this.KEYS.HISTORY);
+        return data ? JSON.parse(data) : [];
+    },
+
+    /**
+     * Save the archive, dropping old entries until it fits in the localStorage quota: the oldest
+     * unpublished ones first, published ones (which later weeks chain onto) only once none are left
+     * Returns how many entries were dropped; throws (leaving the stored archive alone) if even
+     * the newest entry doesn't fit
+     */
+    saveHistory(history) {
+        const older = history.slice(1).reverse();
+        const evictOrder = [...older.filter(h => !h.published), ...older.filter(h => h.published)];
+        for (let dropped = 0; dropped <= evictOrder.length; dropped++) {
+            const evicted = new Set(evictOrder.slice(0, dropped));
+            try {
+                localStorage.setItem(this.KEYS.HISTORY, JSON.stringify(history.filter(h => !evicted.has(h))));
+                return dropped;
+            } catch (err) {
+                if (dropped === evictOrder.length) throw err;
+            }
+        }
+    },
+
+    /**
+     * Archive a generated schedule and open it
+     * Returns { entry, dropped } where dropped counts old entries removed by the history limit or the quota
+     */
+    addToHistory(schedule, name, settings = this.getSettings()) {
+        const history = this.getHistory();
+        const weeks = schedule.horizon ? schedule.weeks : [schedule];
+        const entry = {
+            id: Math.max(0, ...history.map(h => h.id)) + 1,
+            name,
+            createdAt: new Date().toISOString(),
+            weekStart: weeks[0]?.constraints?.weekStart ?? null,
+            weekCount: weeks.length,
+            settings,
+            schedule,
+            published: false
+        };
+
+        // Published entries don't count towards the limit, so the schedules later weeks chain onto stay
+        const limit = Math.max(1, this.getSettings().historyLimit ?? 20);
+        let unpublished = 0;
+        const kept = [entry, ...history].filter(h => h.published || ++unpublished <= limit);
+        const dropped = history.length + 1 - kept.length + this.saveHistory(kept);
+        this.setOpenSchedule(entry.id);
+        return { entry, dropped };
+    },
+
+    updateHistoryEntry(id, updates) {
+        const history = this.getHistory();
+        const idx = history.findIndex(h => h.id === id);
+        if (idx !== -1) {
+            history[idx] = { ...history[idx], ...updates };
+            this.saveHistory(history);
+        }
+        return history[idx];
+    },
+
+    /**
+     * Mark an entry as the published schedule for its weeks (or unmark it)
+     * Publishing unmarks other entries covering any of the same weeks
+     */
+    publishHistoryEntry(id, published = true) {
+        const history = this.getHistory();
+        const target = history.find(h => h.id === id);
+        if (!target) return;
+
+        const overlaps = h => h.weekStart && target.weekStart &&
+            h.weekStart < this._addWeeks(target.weekStart, target.weekCount) &&
+            target.weekStart < this._addWeeks(h.weekStart, h.weekCount);
+        this.saveHistory(history.map(h => {
+            if (h.id === id) return { ...h, published };
+            return published && h.published && overlaps(h) ? { ...h, published: false } : h;
+        }));
+    },
+
+    _addWeeks(isoDate, weeks) {
+        return new Date(Date.parse(`${isoDate}T00:00:00Z`) + weeks * 7 * 86400000).toISOString().slice(0, 10);
+    },
+
+    // Copy an entry to the top of the archive
+    duplicateHistoryEntry(id) {
+        const original = this.getHistory().find(h => h.id === id);
+        if (!original) return null;
+        return this.addToHistory(original.schedule, `Copy of ${original.name}`, original.settings);
+    },
+
+    deleteHistoryEntry(id) {
+        this.saveHistory(this.getHistory().filter(h => h.id !== id));
+        if (this.getOpenScheduleId() === id) localStorage.removeItem(this.KEYS.OPEN_SCHEDULE);
+    },
+
+    // The entry on screen (kept across reloads)
+    getOpenScheduleId() {
+        const data = localStorage.getItem(this.KEYS.OPEN_SCHEDULE);
         return data ? JSON.parse(data) : null;
     },
 
-    saveSchedule(schedule) {
-        localStorage.setItem(this.KEYS.SCHEDULE, JSON.stringify(schedule));
+    setOpenSchedule(id) {
+        localStorage.setItem(this.KEYS.OPEN_SCHEDULE, JSON.stringify(id));
+    },
+
+    getOpenSchedule() {
+        const id = this.getOpenScheduleId();
+        return this.getHistory().find(h => h.id === id)?.schedule ?? null;
     },
 
     // =========================================================================
@@ -398,7 +715,11 @@ const Storage = {
             shifts: this.getShifts(),
             roles: this.getRoles(),
             settings: this.getSettings(),
-            schedule: this.getLastSchedule()
+            timeOff: this.getTimeOff(),
+            pairings: this.getPairings(),
+            holidays: this.getHolidays(),
+            requirements: this.getRequirements(),
+            history: this.getHistory()
         };
     },
 
@@ -407,7 +728,16 @@ const Storage = {
         if (data.shifts) this.saveShifts(data.shifts);
         if (data.roles) this.saveRoles(data.roles);
         if (data.settings) this.saveSettings(data.settings);
-        if (data.schedule) this.saveSchedule(data.schedule);
+        if (data.timeOff) this.saveTimeOff(data.timeOff);
+        if (data.pairings) this.savePairings(data.pairings);
+        if (data.holidays) this.saveHolidays(data.holidays);
+        if (data.requirements) this.saveRequirements(data.requirements);
+        if (data.history) {
+            this.saveHistory(data.history);
+            if (data.history.length) this.setOpenSchedule(data.history[0].id);
+        }
+        // Backups from before the history archive hold a single schedule
+        if (data.schedule) this.addToHistory(data.schedule, 'Imported schedule');
     },
 
     // =========================================================================